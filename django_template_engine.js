@@ -1,4 +1,15 @@
-(function(global){
+(function(root, factory){
+    // Universal module definition: AMD, CommonJS or browser global
+    if (typeof define === 'function' && define.amd){
+        define([], function(){
+            return factory(root);
+        });
+    } else if (typeof module === 'object' && module.exports){
+        module.exports = factory(root);
+    } else {
+        root.DjangoTemplateEngine = factory(root);
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : (typeof self !== 'undefined' ? self : this), function(global){
 /*
 This is the Django template system.
 
@@ -84,12 +95,21 @@ var setDefaults = function(opts, defaults){
 var DJANGO_TEMPLATE_SETTINGS = setDefaults(global.DJANGO_TEMPLATE_SETTINGS, {
     AUTOESCAPE: true,
     DEBUG: false,
+    USE_TZ: false,
     LIBRARIES: null,
     CONTEXT_BUILTINS: {'True': true, 'False': false, 'None': null},
     STRING_IF_INVALID: "", 
     DEFAULT_DATE_TIME_FORMAT: 'j N, g:i:a',
     DEFAULT_TIME_FORMAT: 'G:i:s',
-    VARIABLE_NAME_MISSING_WARNING: "Missing variable '%s'"
+    VARIABLE_NAME_MISSING_WARNING: "Missing variable '%s'",
+    STRING_TEMPLATE_CACHE_SIZE: 128,
+    ENGINE_CACHE_SIZE: 16,
+    TEMPLATE_STORE: null,
+    MAX_LOOP_ITERATIONS: null,
+    MAX_OUTPUT_SIZE: null,
+    MAX_RENDER_DEPTH: null,
+    RENDER_TIMEOUT: null,
+    COMPILE_TEMPLATES: false
 });
 
 
@@ -125,6 +145,10 @@ var isDate = function(val) {
     return val instanceof Date;
 };
 
+var isThenable = function(val) {
+    return val !== null && val !== undefined && isFunction(val.then);
+};
+
 var objectIsEqual = function(obj1, obj2){
     var key;
 
@@ -218,6 +242,14 @@ function objectMerge(obj1, obj2) {
     return obj1;
 }
 
+function clearDict(obj){
+    Object.keys(obj).forEach(function(key){
+        delete obj[key];
+    });
+
+    return obj;
+}
+
 function copyDict(obj){
     var new_obj = Object.create(null);
     
@@ -334,6 +366,10 @@ function __in(obj, container){
 }
 
 function in_operator(x, y) {
+  if(y && isFunction(y.__contains__)) {
+    return y.__contains__(x)
+  }
+
   if(!(x instanceof Object) && y instanceof Object) {
     if(!(y && 'length' in y)) {
       y = keys(y)
@@ -471,6 +507,40 @@ function normalizeNewlines(value){
     return value.replace(/\r\n|\r/g, '\n');
 }
 
+function similarityRatio(a, b){
+    /*
+    Return a measure of the similarity of two strings in the range [0, 1],
+    like difflib.SequenceMatcher.ratio(): twice the length of the longest
+    common subsequence divided by the total length.
+    */
+    if (a.length + b.length === 0) return 1;
+
+    var previous = new Array(b.length + 1).fill(0);
+
+    for (var i = 1; i <= a.length; i++){
+        var current = [0];
+        for (var j = 1; j <= b.length; j++){
+            current[j] = a[i-1] === b[j-1] ? previous[j-1] + 1 : Math.max(previous[j], current[j-1]);
+        }
+        previous = current;
+    }
+
+    return 2 * previous[b.length] / (a.length + b.length);
+}
+
+function getCloseMatches(word, possibilities, n, cutoff){
+    // Return the n best matches of word in possibilities, like difflib.get_close_matches()
+    return possibilities.map(function(possibility){
+        return [similarityRatio(word, possibility), possibility];
+    }).filter(function(match){
+        return match[0] >= cutoff;
+    }).sort(function(x, y){
+        return y[0] - x[0];
+    }).slice(0, n).map(function(match){
+        return match[1];
+    });
+}
+
 function capfirst(str) {
   return str.replace(/^(.{1})/, function(a, m) { return m.toUpperCase() });
 }
@@ -1212,7 +1282,7 @@ DateTimeFormat.prototype.Y = function() {
 DateTimeFormat.prototype.z = function() {
     // Day of the year i.e. '0' to '365'
 
-    doy = this.year_days[this.data.getMonth()] + this.data.getDate()
+    var doy = this.year_days[this.data.getMonth()] + this.data.getDate()
     if (this.L() && this.data.getMonth() > 1)
         doy += 1
     return doy
@@ -1923,6 +1993,56 @@ Dict.prototype.delete = function(key){
 }
 
 
+/**
+ * A cache holding at most maxSize values. When it's full, the least
+ * recently used value is discarded.
+ *
+ * @param {number} maxSize Maximum number of values
+ */
+var LRUCache = function(maxSize){
+    this.maxSize = maxSize;
+    this._map = new Map();
+}
+
+LRUCache.prototype.get = function(key){
+    if (!this._map.has(key)) return undefined;
+
+    // Move the key to the end, the most recently used position
+    var value = this._map.get(key);
+    this._map.delete(key);
+    this._map.set(key, value);
+
+    return value;
+}
+
+LRUCache.prototype.set = function(key, value){
+    if (this.maxSize <= 0) return;
+
+    this._map.delete(key);
+    this._map.set(key, value);
+
+    while (this._map.size > this.maxSize){
+        this._map.delete(this._map.keys().next().value);
+    }
+}
+
+LRUCache.prototype.has = function(key){
+    return this._map.has(key);
+}
+
+LRUCache.prototype.delete = function(key){
+    return this._map.delete(key);
+}
+
+LRUCache.prototype.clear = function(){
+    this._map.clear();
+}
+
+LRUCache.prototype.size = function(){
+    return this._map.size;
+}
+
+
 function BaseContext( dict, deepKeySearch ){
     this.deepKeySearch = deepKeySearch === undefined ? true: deepKeySearch;
     this._resetDicts(dict);
@@ -1930,7 +2050,7 @@ function BaseContext( dict, deepKeySearch ){
 
 
 BaseContext.prototype._resetDicts = function(value){
-    this.dicts = [DJANGO_TEMPLATE_SETTINGS.CONTEXT_BUILTINS];
+    this.dicts = [this.builtins || DJANGO_TEMPLATE_SETTINGS.CONTEXT_BUILTINS];
     if (value !== undefined && value !== null) this.dicts.push(copyDict(value));
 }
 
@@ -2021,6 +2141,7 @@ BaseContext.prototype.setDefault = function(key, defaultValue){
         return dict[key];
     } else {
         dict[key] = defaultValue;
+        return defaultValue;
     }
 }
 
@@ -2165,6 +2286,8 @@ var Context = function(dict, opts){
     this.renderContext = opts.render_context || new RenderContext();
     this.template = opts.template || null;
     this.templateName = opts.template_name || "unknown";
+    this.builtins = opts.builtins || null;
+    this.engine = opts.engine || null;
 
     Context.baseConstructor.call(this, dict);
 }
@@ -2182,22 +2305,44 @@ Context.prototype.newContext = function(values){
         use_l10n: this.useL10n,
         template: this.template,
         template_name: this.templateName,
-        render_context: this.renderContext.copy()
+        render_context: this.renderContext.copy(),
+        builtins: this.builtins,
+        engine: this.engine
     });
 
     return c;
 }
 
+Context.prototype.getEngine = function(){
+    /*
+    Return the engine rendering with this context: the engine that
+    created the context or the engine of the bound template.
+    */
+    if (this.engine) return this.engine;
+
+    return this.template ? this.template.engine : null;
+}
+
 Context.prototype.bindTemplate = function(template, fn){
+    this.enterTemplate(template);
+
+    try {
+        return fn(this);
+    } finally {
+        this.exitTemplate();
+    }
+}
+
+Context.prototype.enterTemplate = function(template){
+    // Bind the context to the template. Used by bindTemplate().
     if (this.template !== null)
         throw new TemplateError("Context is already bound to a template");
 
     this.template = template;
-    var result = fn(this);
+}
 
+Context.prototype.exitTemplate = function(){
     this.template = null;
-
-    return result;
 }
 
 Context.prototype.copy = function(){
@@ -2235,239 +2380,2315 @@ var RenderContext = function(dict){
     stack. Thus, variables are local to a specific template and don't affect the
     rendering of other templates as they would if they were stored in the normal
     template context.
+
+    limits is the RenderLimits of the rendering, shared by the copies of
+    the render context.
     */
 
     this.template = null;
+    this.limits = null;
     RenderContext.baseConstructor.call(this, dict, false);
 }
 
 
 inherits(RenderContext, BaseContext);
 
+RenderContext.prototype.copy = function(){
+    var duplicate = this.__super__.copy.call(this);
+    duplicate.limits = this.limits;
+    return duplicate;
+}
+
 
 RenderContext.prototype.pushState = function(template, fn, isolated_context){
+    var state = this.enterState(template, isolated_context);
+
+    try {
+        return fn(this);
+    } finally {
+        this.exitState(state);
+    }
+}
+
+RenderContext.prototype.enterState = function(template, isolated_context){
+    /*
+    Make template the template being rendered and, if isolated_context
+    isn't false, push a new scope. Return the state to pass to exitState().
+    */
     if (isolated_context === undefined) isolated_context = true;
 
-    initial = this.template;
+    if (this.limits !== null)
+        this.limits.enterTemplate(template);
+
+    var state = {template: this.template, isolated_context: isolated_context};
     this.template = template;
 
     if (isolated_context)
         this.push();
 
-    var result = fn(this);
+    return state;
+}
 
-    this.template = initial;
+RenderContext.prototype.exitState = function(state){
+    this.template = state.template;
 
-    if (isolated_context)
-        this.pop();
+    if (this.limits !== null)
+        this.limits.exitTemplate();
 
-    return result;
+    if (state.isolated_context)
+        this.pop();
 }
 
 
-var TemplateEngine = function(templateSources, options){
-    var options = setDefaults(options, {
-        'autoescape': DJANGO_TEMPLATE_SETTINGS.AUTOESCAPE,
-        'debug': DJANGO_TEMPLATE_SETTINGS.DEBUG,
-        'libraries': DJANGO_TEMPLATE_SETTINGS.LIBRARIES,
-        'use_tz': DJANGO_TEMPLATE_SETTINGS.USE_TZ,
-        'string_if_invalid': DJANGO_TEMPLATE_SETTINGS.STRING_IF_INVALID
-    });
+/**
+ * The limits of a rendering, read from the settings of the engine
+ * (max_loop_iterations, max_output_size, max_render_depth and
+ * render_timeout), and the counters checked against them. A limit set to
+ * null is disabled. When a limit is exceeded, a TemplateRenderLimitError
+ * naming the template and the node being rendered is thrown. When the
+ * AbortSignal signal is aborted, the rendering stops with its reason.
+ *
+ * @param {TemplateEngine} engine The engine rendering the template, or null
+ * @param {AbortSignal} signal (optional)
+ */
+var RenderLimits = function(engine, signal){
+    this.maxLoopIterations = getLimitSetting(engine, 'maxLoopIterations');
+    this.maxOutputSize = getLimitSetting(engine, 'maxOutputSize');
+    this.maxRenderDepth = getLimitSetting(engine, 'maxRenderDepth');
+    this.renderTimeout = getLimitSetting(engine, 'renderTimeout');
 
-    if (options.libraries){
-        Object.entries(options.libraries).forEach(function(entry){
-            var libraryName = entry[0];
-            var library = entry[1];
-            
-            if (!(library instanceof Library))
-                throw new TemplateError('Library "' + libraryName + '" is not of instance Library');
-        });
-    }
-    
-    this.stringIfInvalid = options.string_if_invalid;
-    this.autoescape = options.autoescape;
-    this.debug = options.debug;
-    this.templateLibraries = options.libraries || {};
-    this.templateBuiltins = [defaultTemplateLibrary];
+    this.signal = signal || null;
+    this.deadline = this.renderTimeout === null ? null : Date.now() + this.renderTimeout;
 
-    this.templates = {};
+    this.loopIterations = 0;
+    this.depth = 0;
+    this.outputSize = 0;
 
-    this.templateSources = templateSources || {};
+    // The template and the node being rendered
+    this.template = null;
+    this.node = null;
 }
 
-TemplateEngine.renderTemplate = function(templateCode, context, otherTemplateSources, templateEngineOptions){
-    var engine = new TemplateEngine(otherTemplateSources, templateEngineOptions);
-    return engine.renderTemplateString(templateCode, context)
+function getLimitSetting(engine, name){
+    var value = engine ? engine[name] : null;
+
+    return value === undefined ? null : value;
 }
 
-TemplateEngine.addToContextBuiltins = function( dict ){
-    /**
-    * Pushes a dict to the default context stack. 
-    * Every context instance will the dictes pushed to the default. 
-    *  
-    * @param {Object} The dict to be pushed 
-    */
-    objectMerge( DJANGO_TEMPLATE_SETTINGS.CONTEXT_BUILTINS, dict );
+RenderLimits.prototype.check = function(template, node){
+    // Record the node being rendered and check the signal and the timeout
+    this.template = template;
+    this.node = node;
+
+    this.checkTime();
 }
 
-TemplateEngine.createTemplateLibrary = function(){
-    return new Library();
+RenderLimits.prototype.checkTime = function(){
+    if (this.signal !== null && this.signal.aborted)
+        throw getAbortReason(this.signal);
+
+    if (this.deadline !== null && Date.now() > this.deadline)
+        throw this.timeoutError();
 }
 
-TemplateEngine.prototype.createLibrary = function(name){
-    if (this.templateLibraries[name] !== undefined)
-        throw new Error("Library name already registered: " + name);
-    
-    var library = new Library();
-    this.templateLibraries[name] = library;
-    
-    return library;
+RenderLimits.prototype.timeoutError = function(){
+    return new TemplateRenderLimitError('render_timeout', "the rendering took more than " + this.renderTimeout + " ms", this.template, this.node);
 }
 
-TemplateEngine.prototype.addLibrary = function(name, library){
-    if (this.templateLibraries[name] !== undefined)
-        throw new Error("Library name already registered: " + name);
-    
-    if (!(library instanceof Library)){
-        throw new Error("'library' is not of instance Library");        
-    }
-    
-    this.templateLibraries[name] = library;    
+RenderLimits.prototype.countLoopIteration = function(template, node){
+    this.loopIterations++;
+
+    if (this.maxLoopIterations !== null && this.loopIterations > this.maxLoopIterations)
+        throw new TemplateRenderLimitError('max_loop_iterations', "more than " + this.maxLoopIterations + " loop iterations", template, node);
+
+    this.check(template, node);
 }
 
-TemplateEngine.prototype.getTemplateFromString = function(templateCode){
-    /*
-    Return a compiled Template object for the given template code,
-    handling template inheritance recursively.
-    */
-    return new Template(templateCode, null, this);
+RenderLimits.prototype.setOutputSize = function(size){
+    // size is the length of the output of the rendering so far
+    this.outputSize = size;
+
+    if (this.maxOutputSize !== null && size > this.maxOutputSize)
+        throw new TemplateRenderLimitError('max_output_size', "the output is longer than " + this.maxOutputSize + " characters", this.template, this.node);
 }
 
+RenderLimits.prototype.enterTemplate = function(template){
+    // Called when the rendering of a template, included or extended, starts
+    if (this.maxRenderDepth !== null && this.depth > this.maxRenderDepth)
+        throw new TemplateRenderLimitError('max_render_depth', "the depth of included and extended templates is greater than " + this.maxRenderDepth + " when rendering '" + template.name + "'", this.template, this.node);
 
-TemplateEngine.prototype.getTemplate = function(template_name){
+    this.depth++;
+}
+
+RenderLimits.prototype.exitTemplate = function(){
+    this.depth--;
+}
+
+RenderLimits.prototype.wait = function(promise){
     /*
-    Return a compiled Template object for the given template name,
-    handling template inheritance recursively.
+    Return a promise resolved like promise, or rejected as soon as the
+    signal is aborted or the timeout is exceeded.
     */
-    var template;
+    var self = this;
 
-    if (this.templates[template_name]){
-        template = this.templates[template_name];
-    } else {
-        if (this.templateSources[template_name]){
-            var template = new Template(this.templateSources[template_name], template_name, this);
+    if (this.signal === null && this.deadline === null) return promise;
 
-            this.templates[template_name] = template;
-        } else {
-            throw new TemplateDoesNotExistError(template_name);
+    return new Promise(function(resolve, reject){
+        self.checkTime();
+
+        var timer = null;
+
+        var stop = function(){
+            if (timer !== null) clearTimeout(timer);
+            if (self.signal !== null) self.signal.removeEventListener('abort', onAbort);
+        };
+
+        var onAbort = function(){
+            stop();
+            reject(getAbortReason(self.signal));
+        };
+
+        if (self.signal !== null) self.signal.addEventListener('abort', onAbort);
+
+        if (self.deadline !== null){
+            timer = setTimeout(function(){
+                stop();
+                reject(self.timeoutError());
+            }, Math.max(0, self.deadline - Date.now()));
         }
-    }
 
-    return template
+        promise.then(function(value){
+            stop();
+            resolve(value);
+        }, function(e){
+            stop();
+            reject(e);
+        });
+    });
 }
 
-TemplateEngine.prototype.renderTemplateString = function(templateCode, context){
-    var t = this.getTemplateFromString(templateCode);
-
-    return t.render(new Context(context)) + ""
+function getAbortReason(signal){
+    return signal.reason !== undefined ? signal.reason : new TemplateError("The rendering was aborted");
 }
 
-TemplateEngine.prototype.renderToString = function(template_name, context){
+function renderCounted(context, render){
     /*
-    Render the template specified by template_name with the given context.
+    Return render(), rendering a node, as a string and add its length to
+    the output size of the render limits. It replaces the length of the
+    output of the nodelists of the node, counted while it's rendered, so
+    the size grows with the output of a loop but the output of a node
+    rendering its nodelists isn't counted twice.
     */
-    var t = this.getTemplate(template_name);
+    var limits = context.renderContext.limits;
+
+    if (limits === null) return render() + '';
+
+    var size = limits.outputSize;
+    var output = render() + '';
 
-    return t.render(new Context(context)) + ""
+    limits.setOutputSize(size + output.length);
+
+    return output;
 }
 
-TemplateEngine.Context = Context;
+function withRenderLimits(renderContext, limits, fn){
+    // Call fn() with the limits set in the render context
+    var previousLimits = renderContext.limits;
+    renderContext.limits = limits;
+
+    try {
+        return fn();
+    } finally {
+        renderContext.limits = previousLimits;
+    }
+}
 
 
-// Globals
+/**
+ * A dictionary of lists of values, like the QueryDict of Django, used
+ * for the query string (GET) and the form data (POST) of a request.
+ * In templates, a key returns the last value of the list.
+ *
+ * @param {string|Object} query A query string or a dictionary of keys and
+ *   values (or lists of values)
+ */
+var QueryDict = function(query){
+    var self = this;
 
-var TEXT_TOKEN = 0,
-    VAR_TOKEN = 1,
-    BLOCK_TOKEN = 2,
-    COMMENT_TOKEN = 3;
+    this._lists = Object.create(null);
 
+    if (query === undefined || query === null) return;
 
-var TOKEN_TYPE_NAMES = [
-    "text",
-    "var",
-    "block",
-    "comment"];
+    if (query instanceof QueryDict){
+        query.lists().forEach(function(entry){
+            self._lists[entry[0]] = entry[1];
+        });
+    } else if (isString(query)){
+        query.replace(/^\?/, '').split('&').forEach(function(pair){
+            if (pair === '') return;
 
+            var index = pair.indexOf('=');
+            var key = index === -1 ? pair : pair.substring(0, index);
+            var value = index === -1 ? '' : pair.substring(index + 1);
 
-var Token = function(token_type, contents, position, lineno) {
-  this.token_type = token_type;
-  this.contents = contents;
+            self.appendlist(decodeQueryComponent(key), decodeQueryComponent(value));
+        });
+    } else if (isFunction(query.getAll) && isFunction(query.forEach)){
+        // URLSearchParams or FormData
+        query.forEach(function(value, key){
+            self.appendlist(key, value);
+        });
+    } else {
+        Object.keys(query).forEach(function(key){
+            var value = query[key];
+            self._lists[key] = isArray(value) ? value.slice() : [value];
+        });
+    }
+}
 
-  this.position = position;
-  this.lineno = lineno;
+function decodeQueryComponent(value){
+    return decodeURIComponent(value.replace(/\+/g, ' '));
 }
 
-Token.prototype.toString = function() {
-  // NB: this should only be
-  // debug output, so it's
-  // probably safe to use
-  // JSON.stringify here.
-  var tokenName = TOKEN_TYPE_NAMES[this.token_type].toUpperCase();
+QueryDict.prototype.__getitem__ = function(key){
+    // Return the last value of the list, like Django
+    var list = this._lists[key];
+    if (list === undefined) return undefined;
 
-  return '<' + tokenName + ' token: "' + this.contents.substr(0, 20).replace('\n', '') + '...">';
+    return list.length === 0 ? [] : list[list.length - 1];
 }
 
-Token.prototype.splitContents = function(){
-    var split = [], bit;
-    var bits = smart_split(this.contents);
+QueryDict.prototype.__contains__ = function(key){
+    return hasOwnProperty(this._lists, key);
+}
 
-    for (var i = 0; i < bits.length; i++){
-        bit = bits[i];
+QueryDict.prototype.has = QueryDict.prototype.__contains__;
 
-        // Handle translation-marked template pieces
-        if (bit.startsWith('_("') || bit.startsWith("_('")){
-            var sentinel = bit[2] + ')';
-            var trans_bit = [bit];
+QueryDict.prototype.get = function(key, defaultValue){
+    var value = this.__getitem__(key);
 
-            while (!bit.endsWith(sentinel)){
-                i +=1;
-                bit = bits[i];
-                trans_bit.push(bit)
-            }
+    if (value === undefined) return defaultValue === undefined ? null : defaultValue;
+    return value;
+}
 
-            bit = trans_bit.join(' ')
-        }
-        split.push(bit)
-    }
+QueryDict.prototype.getlist = function(key, defaultValue){
+    var list = this._lists[key];
 
-    return split
+    if (list === undefined) return defaultValue === undefined ? [] : defaultValue;
+    return list.slice();
 }
 
+QueryDict.prototype.setlist = function(key, list){
+    this._lists[key] = list.slice();
+}
 
-var Lexer = function(templateString){
-    this.templateString = templateString;
-    this.verbatim = false;
+QueryDict.prototype.appendlist = function(key, value){
+    if (!this.__contains__(key)) this._lists[key] = [];
+    this._lists[key].push(value);
 }
 
-Lexer.prototype.tokenize = function(){
-    /*
-        Return a list of tokens from a given templateString.
-    */
-    var self = this;
+QueryDict.prototype.keys = function(){
+    return Object.keys(this._lists);
+}
 
-    var in_tag = false;
-    var lineno = 1;
-    var result = [];
+QueryDict.prototype.items = function(){
+    var self = this;
 
-    this.templateString.split(tag_re).forEach(function(bit){
-        if (bit !== ""){
-            result.push(self.createToken(bit, null, lineno, in_tag));
-            lineno += countNewLines(bit);
-        }
-        in_tag = !in_tag;
+    return this.keys().map(function(key){
+        return [key, self.__getitem__(key)];
     });
-
-    return result
+}
+
+QueryDict.prototype.lists = function(){
+    var self = this;
+
+    return this.keys().map(function(key){
+        return [key, self._lists[key].slice()];
+    });
+}
+
+QueryDict.prototype.dict = function(){
+    var result = {};
+    this.items().forEach(function(entry){
+        result[entry[0]] = entry[1];
+    });
+
+    return result;
+}
+
+QueryDict.prototype.urlencode = function(){
+    var output = [];
+
+    this.lists().forEach(function(entry){
+        entry[1].forEach(function(value){
+            output.push(encodeURIComponent(entry[0]) + '=' + encodeURIComponent(value));
+        });
+    });
+
+    return output.join('&');
+}
+
+QueryDict.prototype.toString = function(){
+    return '<QueryDict: ' + this.urlencode() + '>';
+}
+
+
+/**
+ * Emulation of a Django HttpRequest built from a request-like object.
+ * The attributes of the object are copied (path, user, resolver_match...)
+ * and GET and POST are converted to QueryDict objects. If there is no GET
+ * but there is an url, GET and path are taken from the url.
+ *
+ * @param {Object} attrs Request-like object
+ */
+var HttpRequest = function(attrs){
+    var self = this;
+
+    attrs = attrs || {};
+
+    Object.keys(attrs).forEach(function(key){
+        self[key] = attrs[key];
+    });
+
+    var url = isString(attrs.url) ? attrs.url : null;
+    var queryIndex = url === null ? -1 : url.indexOf('?');
+
+    if (this.path === undefined){
+        this.path = url === null ? '/' : (queryIndex === -1 ? url : url.substring(0, queryIndex)).replace(/#.*$/, '');
+    }
+    if (this.method === undefined) this.method = 'GET';
+
+    if (this.GET === undefined && queryIndex !== -1){
+        this.GET = url.substring(queryIndex + 1).replace(/#.*$/, '');
+    }
+
+    this.GET = new QueryDict(this.GET);
+    this.POST = new QueryDict(this.POST);
+}
+
+HttpRequest.prototype.get_full_path = function(){
+    var query = this.GET.urlencode();
+    return this.path + (query ? '?' + query : '');
+}
+
+
+/**
+ * This subclass of Context populates itself using the processors of
+ * the engine and the processors passed, every time it's bound to a
+ * template. The processors are functions receiving the request and
+ * returning a dictionary of variables.
+ *
+ * @param {Object} request HttpRequest or request-like object
+ * @param {Object} dict (optional) template variables
+ * @param {Object} opts (optional) options of Context and "processors"
+ */
+var RequestContext = function(request, dict, opts){
+    opts = opts || {};
+
+    if (request !== null && request !== undefined && !(request instanceof HttpRequest))
+        request = new HttpRequest(request);
+
+    this.request = request || null;
+    this._processors = opts.processors || [];
+
+    RequestContext.baseConstructor.call(this, dict, opts);
+
+    this._processorsIndex = this.dicts.length;
+
+    // placeholder for context processors output
+    this.update({});
+
+    // empty dict for any new modifications
+    // (so that context processors don't overwrite them)
+    this.update({});
+}
+
+inherits(RequestContext, Context);
+
+RequestContext.prototype.enterTemplate = function(template){
+    var self = this;
+
+    if (this.template !== null)
+        throw new TemplateError("Context is already bound to a template");
+
+    var engine = this.engine || template.engine;
+    var processors = (engine ? engine.contextProcessors : []).concat(this._processors);
+
+    var updates = {};
+    processors.forEach(function(processor){
+        var values = processor(self.request);
+        if (values) objectMerge(updates, values);
+    });
+
+    if (this._processorsIndex !== null) this.dicts[this._processorsIndex] = updates;
+
+    this.template = template;
+}
+
+RequestContext.prototype.exitTemplate = function(){
+    this.template = null;
+    if (this._processorsIndex !== null) this.dicts[this._processorsIndex] = {};
+}
+
+RequestContext.prototype.newContext = function(values){
+    var c = new RequestContext(this.request, null, {
+        autoescape: this.autoescape,
+        use_l10n: this.useL10n,
+        template: this.template,
+        template_name: this.templateName,
+        render_context: this.renderContext.copy(),
+        builtins: this.builtins,
+        engine: this.engine,
+        processors: this._processors
+    });
+
+    c._resetDicts(values);
+    // This is for a new context already bound to a template
+    c._processorsIndex = null;
+
+    return c;
+}
+
+RequestContext.prototype.copy = function(){
+    var duplicate = BaseContext.prototype.copy.call(this);
+
+    duplicate.renderContext = this.renderContext.copy();
+    duplicate.request = this.request;
+    duplicate._processors = this._processors;
+    duplicate._processorsIndex = this._processorsIndex;
+
+    return duplicate;
+}
+
+
+function requestContextProcessor(request){
+    // Context processor adding the variable 'request'
+    return {'request': request};
+}
+
+
+
+/**
+ * Describes where a template was loaded from.
+ *
+ * @param {string} name Full path or identifier of the template source
+ * @param {string} templateName Name used to look up the template
+ * @param {Loader} loader Loader that found the template
+ */
+var Origin = function(name, templateName, loader){
+    this.name = name;
+    this.templateName = templateName;
+    this.loader = loader;
+}
+
+Origin.prototype.toString = function(){
+    return this.name;
+}
+
+Origin.prototype.getLoaderName = function(){
+    if (!this.loader) return null;
+
+    return this.loader.constructor.name || null;
+}
+
+Origin.prototype.isEqual = function(other){
+    return other instanceof Origin && this.name === other.name && this.loader === other.loader;
+}
+
+var SKIPPED_STATUS = 'Skipped to avoid recursion';
+var DOES_NOT_EXIST_STATUS = 'Source does not exist';
+
+function addTried(tried, origin, status){
+    if (tried) tried.push({origin: origin, status: status});
+}
+
+function isSkippedOrigin(origin, skip){
+    if (!skip) return false;
+
+    return skip.some(function(skippedOrigin){
+        return origin.isEqual(skippedOrigin);
+    });
+}
+
+
+/**
+ * Base class for template loaders.
+ *
+ * A loader is asked for a template by name through getSource() and
+ * returns an object {source: ..., origin: ...}, or null if it doesn't
+ * know the template. Throwing TemplateDoesNotExistError is also
+ * accepted. The engine tries each of its loaders in order.
+ *
+ * The optional list of origins "skip" passed to getSource() contains
+ * origins that must be ignored. It's used when a template extends
+ * another template with the same name.
+ */
+var Loader = function(){}
+
+Loader.prototype.getSource = function(templateName, skip, tried){
+    /*
+    Try each origin returned by getTemplateSources() and return the
+    contents of the first one that exists and is not skipped. The origins
+    consulted are added to the optional list tried.
+    */
+    var origins = this.getTemplateSources(templateName);
+
+    for (var i = 0; i < origins.length; i++){
+        var origin = origins[i];
+
+        if (isSkippedOrigin(origin, skip)){
+            addTried(tried, origin, SKIPPED_STATUS);
+            continue;
+        }
+
+        try {
+            return {
+                source: this.getContents(origin),
+                origin: origin
+            };
+        } catch (e){
+            if (e instanceof TemplateDoesNotExistError){
+                addTried(tried, origin, DOES_NOT_EXIST_STATUS);
+                continue;
+            }
+            throw e;
+        }
+    }
+
+    return null;
+}
+
+Loader.prototype.getTemplateNames = function(){
+    /*
+    Return the names of the templates known by the loader. Used to
+    suggest template names when a template does not exist.
+    */
+    return [];
+}
+
+Loader.prototype.getTemplateSources = function(templateName){
+    /*
+    Return a list of Origin objects where the template could be found.
+    */
+    throw new Error("Subclasses of Loader must provide a getSource() or a getTemplateSources() method");
+}
+
+Loader.prototype.getContents = function(origin){
+    throw new Error("Subclasses of Loader must provide a getContents() method");
+}
+
+Loader.prototype.reset = function(){
+    /*
+    Reset any state maintained by the loader instance (e.g. cached
+    templates or cached loader modules).
+    */
+}
+
+
+/**
+ * Loader that reads templates from a dictionary of template names
+ * and template sources.
+ *
+ * @param {Object} templates Dictionary of template names and sources
+ */
+var LocMemLoader = function(templates){
+    this.templates = templates || {};
+}
+
+inherits(LocMemLoader, Loader);
+
+LocMemLoader.prototype.getTemplateNames = function(){
+    return Object.keys(this.templates);
+}
+
+LocMemLoader.prototype.getSource = function(templateName, skip, tried){
+    var origin = new Origin(templateName, templateName, this);
+
+    if (!hasOwnProperty(this.templates, templateName)){
+        addTried(tried, origin, DOES_NOT_EXIST_STATUS);
+        return null;
+    }
+
+    if (isSkippedOrigin(origin, skip)){
+        addTried(tried, origin, SKIPPED_STATUS);
+        return null;
+    }
+
+    return {
+        source: this.templates[templateName],
+        origin: origin
+    };
+}
+
+
+/**
+ * Loader of the templates of a bundle written by the precompiler
+ * (django_template_precompile.js). The nodelists are restored from their
+ * serialized form, so the templates are not parsed again.
+ *
+ * @param {Object} templates Dictionary of template names and precompiled
+ *     templates {nodelist: ..., source: ...}. The source is optional.
+ */
+var PrecompiledLoader = function(templates){
+    this.templates = templates || {};
+}
+
+inherits(PrecompiledLoader, Loader);
+
+PrecompiledLoader.prototype.getTemplateNames = function(){
+    return Object.keys(this.templates);
+}
+
+PrecompiledLoader.prototype.getSource = function(templateName, skip, tried){
+    var origin = new Origin(templateName, templateName, this);
+
+    if (!hasOwnProperty(this.templates, templateName)){
+        addTried(tried, origin, DOES_NOT_EXIST_STATUS);
+        return null;
+    }
+
+    if (isSkippedOrigin(origin, skip)){
+        addTried(tried, origin, SKIPPED_STATUS);
+        return null;
+    }
+
+    var template = this.templates[templateName];
+
+    return {
+        source: template.source || '',
+        origin: origin,
+        precompiled: template.nodelist
+    };
+}
+
+
+function nodeRequire(moduleName){
+    if (typeof require !== 'function')
+        throw new TemplateError("Module '" + moduleName + "' is only available in Node.js");
+
+    return require(moduleName);
+}
+
+
+/**
+ * Loader that reads templates from a list of directories
+ * of the filesystem. Only available in Node.js.
+ *
+ * @param {Array} dirs List of directories where templates are searched
+ * @param {string} encoding Encoding of the template files. Default: 'utf8'
+ */
+var FileSystemLoader = function(dirs, encoding){
+    this.fs = nodeRequire('fs');
+    this.path = nodeRequire('path');
+
+    if (isString(dirs)) dirs = [dirs];
+
+    this.dirs = dirs || [];
+    this.encoding = encoding || 'utf8';
+}
+
+inherits(FileSystemLoader, Loader);
+
+FileSystemLoader.prototype.getDirs = function(){
+    return this.dirs;
+}
+
+FileSystemLoader.prototype.getTemplateSources = function(templateName){
+    /*
+    Return an Origin object pointing to an absolute path in each directory
+    in template_dirs. Any paths that don't lie inside one of the template
+    dirs are excluded from the result set, for security reasons.
+    */
+    var self = this;
+    var origins = [];
+
+    this.getDirs().forEach(function(templateDir){
+        var baseDir = self.path.resolve(templateDir);
+        var name = self.path.resolve(baseDir, templateName);
+
+        if (name !== baseDir && name.indexOf(baseDir + self.path.sep) !== 0){
+            // The joined path was located outside of this template_dir
+            return;
+        }
+
+        origins.push(new Origin(name, templateName, self));
+    });
+
+    return origins;
+}
+
+FileSystemLoader.prototype.getTemplateNames = function(){
+    var self = this;
+    var names = [];
+
+    var walk = function(dir, prefix){
+        var entries;
+
+        try {
+            entries = self.fs.readdirSync(dir, {withFileTypes: true});
+        } catch (e){
+            return;
+        }
+
+        entries.forEach(function(entry){
+            if (entry.isDirectory()){
+                walk(self.path.join(dir, entry.name), prefix + entry.name + '/');
+            } else {
+                names.push(prefix + entry.name);
+            }
+        });
+    }
+
+    this.getDirs().forEach(function(dir){
+        walk(dir, '');
+    });
+
+    return names;
+}
+
+FileSystemLoader.prototype.getContents = function(origin){
+    try {
+        return this.fs.readFileSync(origin.name, this.encoding);
+    } catch (e){
+        if (e.code === 'ENOENT' || e.code === 'EISDIR' || e.code === 'ENOTDIR')
+            throw new TemplateDoesNotExistError(origin.templateName);
+        throw e;
+    }
+}
+
+
+/**
+ * Loader that reads templates from the "templates" directory
+ * of each application, like Django's app directories loader.
+ * Only available in Node.js.
+ *
+ * @param {Array} appDirs List of application directories
+ * @param {string} encoding Encoding of the template files. Default: 'utf8'
+ */
+var AppDirectoriesLoader = function(appDirs, encoding){
+    AppDirectoriesLoader.baseConstructor.call(this, [], encoding);
+
+    var self = this;
+    this.appDirs = appDirs || [];
+    this.dirs = this.appDirs.map(function(appDir){
+        return self.path.join(appDir, 'templates');
+    });
+}
+
+inherits(AppDirectoriesLoader, FileSystemLoader);
+
+
+function getTemplateDependencies(template){
+    /*
+    Return the names of the templates used in the 'extends' and
+    'include' tags of the template, when the name is a constant.
+    */
+    var names = [];
+
+    template.nodelist.getNodesByType(ExtendsNode).map(function(node){
+        return node.parent_name;
+    }).concat(template.nodelist.getNodesByType(IncludeNode).map(function(node){
+        return node.template;
+    })).forEach(function(expression){
+        if (!(expression instanceof FilterExpression)) return;
+        if (expression.filters.length !== 0 || !isString(expression.variableObj) && !(expression.variableObj instanceof SafeString)) return;
+
+        var name = String(expression.variableObj);
+        if (names.indexOf(name) === -1) names.push(name);
+    });
+
+    return names;
+}
+
+
+var TEMPLATE_SCRIPT_TYPE = 'text/x-django-template';
+
+var TEMPLATE_ELEMENT_ENTITIES = {'&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&nbsp;': '\u00a0'};
+
+function getTemplateElementSource(element){
+    /*
+    Return the source of a <template> element. Its content is parsed as
+    HTML, so innerHTML escapes the characters &, <, > and " of the text and
+    the attributes, e.g. in {% if a > b %}. The escaped characters are
+    restored inside the template tags, variables and comments only: the
+    rest of the HTML is kept escaped, so an entity like &lt; written in the
+    template is still displayed as text.
+    */
+    return element.innerHTML.replace(new RegExp(tag_re_source, 'g'), function(tag){
+        return tag.replace(/&(amp|lt|gt|quot|nbsp);/g, function(entity){
+            return TEMPLATE_ELEMENT_ENTITIES[entity];
+        });
+    });
+}
+
+/**
+ * Loader that reads templates embedded in the page, inside
+ * <script type="text/x-django-template"> or <template> elements.
+ * The template name is the "data-name" attribute of the element or,
+ * if no element has that data-name, its id. Only available in the browser.
+ *
+ * @param {Object} root Document or element where templates are searched. Default: document
+ */
+var DomLoader = function(root){
+    if (!root){
+        if (typeof document === 'undefined')
+            throw new TemplateError("DomLoader is only available in the browser");
+
+        root = document;
+    }
+
+    this.root = root;
+}
+
+inherits(DomLoader, Loader);
+
+DomLoader.prototype.getTemplateElements = function(){
+    return this.root.querySelectorAll('script[type="' + TEMPLATE_SCRIPT_TYPE + '"], template');
+}
+
+DomLoader.prototype.findElement = function(templateName){
+    var elements = this.getTemplateElements();
+    var i;
+
+    for (i = 0; i < elements.length; i++){
+        if (elements[i].getAttribute('data-name') === templateName) return elements[i];
+    }
+
+    for (i = 0; i < elements.length; i++){
+        if (elements[i].id === templateName) return elements[i];
+    }
+
+    return null;
+}
+
+DomLoader.prototype.getTemplateNames = function(){
+    var names = [];
+
+    Array.prototype.forEach.call(this.getTemplateElements(), function(element){
+        var name = element.getAttribute('data-name') || element.id;
+        if (name) names.push(name);
+    });
+
+    return names;
+}
+
+DomLoader.prototype.getSource = function(templateName, skip, tried){
+    var element = this.findElement(templateName);
+    if (element === null){
+        addTried(tried, new Origin('[data-name="' + templateName + '"], #' + templateName, templateName, this), DOES_NOT_EXIST_STATUS);
+        return null;
+    }
+
+    var name = element.id ? '#' + element.id : element.tagName.toLowerCase() + '[data-name="' + templateName + '"]';
+    var origin = new Origin(name, templateName, this);
+    if (isSkippedOrigin(origin, skip)){
+        addTried(tried, origin, SKIPPED_STATUS);
+        return null;
+    }
+
+    var source = element.tagName.toLowerCase() === 'template' ? getTemplateElementSource(element) : element.textContent;
+
+    return {
+        source: source,
+        origin: origin
+    };
+}
+
+
+/**
+ * Asynchronous loader that fetches templates from a server using
+ * fetch(). Fetched templates are cached together with their ETag and
+ * Last-Modified headers, and every new asynchronous lookup revalidates
+ * the cached template with a conditional request, unless it was fetched
+ * or revalidated less than maxAge milliseconds ago. An asynchronous
+ * rendering looks up the template and the templates it extends and
+ * includes with a constant name, so without maxAge it costs a request
+ * for each of them.
+ *
+ * Only the asynchronous methods of the engine (getTemplateAsync,
+ * renderToStringAsync) fetch templates. Synchronous lookups only see
+ * templates already fetched.
+ *
+ * @param {string} baseUrl URL prepended to the template names
+ * @param {Object} options (optional)
+ *   - fetch: fetch implementation. Default: global fetch
+ *   - requestInit: options passed to every fetch call
+ *   - maxAge: milliseconds during which a fetched template is used without
+ *     revalidating it. Default: 0 (always revalidated)
+ */
+var HttpLoader = function(baseUrl, options){
+    options = setDefaults(options, {
+        'fetch': null,
+        'requestInit': null,
+        'maxAge': 0
+    });
+
+    var fetchFunc = options.fetch;
+    if (!fetchFunc){
+        if (typeof fetch !== 'function')
+            throw new TemplateError("HttpLoader requires a fetch implementation");
+
+        fetchFunc = function(){
+            return fetch.apply(null, arguments);
+        };
+    }
+
+    this.baseUrl = baseUrl || '';
+    this.fetch = fetchFunc;
+    this.requestInit = options.requestInit || {};
+    this.maxAge = options.maxAge || 0;
+    this.cache = {};
+    // Time when each cached template was fetched or revalidated
+    this.validated = {};
+}
+
+inherits(HttpLoader, Loader);
+
+HttpLoader.prototype.getUrl = function(templateName){
+    /*
+    Return the URL of the template, or null if the template name
+    tries to go outside of the base URL.
+    */
+    if (templateName.split('/').indexOf('..') !== -1) return null;
+
+    return this.baseUrl + encodeURI(templateName);
+}
+
+HttpLoader.prototype.getTemplateNames = function(){
+    return Object.keys(this.cache);
+}
+
+HttpLoader.prototype.getSource = function(templateName, skip, tried){
+    var cached = this.cache[templateName];
+
+    if (!cached){
+        var url = this.getUrl(templateName);
+        if (url !== null) addTried(tried, new Origin(url, templateName, this), 'Not fetched yet');
+        return null;
+    }
+
+    if (isSkippedOrigin(cached.origin, skip)){
+        addTried(tried, cached.origin, SKIPPED_STATUS);
+        return null;
+    }
+
+    return cached;
+}
+
+HttpLoader.prototype.getSourceAsync = function(templateName, skip, tried){
+    var self = this;
+
+    var url = this.getUrl(templateName);
+    if (url === null) return Promise.resolve(null);
+
+    var cached = this.cache[templateName];
+
+    if (cached && Date.now() - this.validated[templateName] < this.maxAge)
+        return Promise.resolve(cached);
+
+    return this.request(url, cached, false).then(function(response){
+        // Not modified while the template is not cached, e.g. after reset(),
+        // because the HTTP cache of the browser sent its own validators
+        if (response.status === 304 && !cached) return self.request(url, null, true);
+
+        return response;
+    }).then(function(response){
+        if (response.status === 304 && cached){
+            self.validated[templateName] = Date.now();
+            return cached;
+        }
+
+        if (response.status === 404){
+            delete self.cache[templateName];
+            delete self.validated[templateName];
+            addTried(tried, new Origin(url, templateName, self), DOES_NOT_EXIST_STATUS);
+            return null;
+        }
+
+        if (!response.ok)
+            throw new TemplateError("Error fetching template '" + templateName + "' from " + url + ": HTTP status " + response.status);
+
+        return response.text().then(function(source){
+            var origin = new Origin(url, templateName, self);
+            origin.etag = response.headers.get('ETag');
+            origin.lastModified = response.headers.get('Last-Modified');
+
+            var found = {
+                source: source,
+                origin: origin
+            };
+
+            self.cache[templateName] = found;
+            self.validated[templateName] = Date.now();
+            return found;
+        });
+    });
+}
+
+HttpLoader.prototype.request = function(url, cached, reload){
+    /*
+    Return a promise of the response of url: a conditional request if the
+    template is cached, or a request bypassing the HTTP cache if reload is
+    true.
+    */
+    var init = objectMerge({}, this.requestInit);
+    var headers = objectMerge({}, this.requestInit.headers || {});
+
+    if (cached){
+        if (cached.origin.etag) headers['If-None-Match'] = cached.origin.etag;
+        if (cached.origin.lastModified) headers['If-Modified-Since'] = cached.origin.lastModified;
+    }
+    if (reload) init.cache = 'reload';
+    init.headers = headers;
+
+    return this.fetch(url, init);
+}
+
+HttpLoader.prototype.reset = function(){
+    this.cache = {};
+    this.validated = {};
+}
+
+
+// Settings of an engine that can be changed with configure()
+var TEMPLATE_ENGINE_SETTINGS = {
+    'autoescape': 'autoescape',
+    'debug': 'debug',
+    'use_tz': 'useTz',
+    'string_if_invalid': 'stringIfInvalid',
+    'default_date_time_format': 'defaultDateTimeFormat',
+    'default_time_format': 'defaultTimeFormat',
+    'variable_name_missing_warning': 'variableNameMissingWarning',
+    'template_store': 'templateStore',
+    'max_loop_iterations': 'maxLoopIterations',
+    'max_output_size': 'maxOutputSize',
+    'max_render_depth': 'maxRenderDepth',
+    'render_timeout': 'renderTimeout',
+    'compile_templates': 'compileTemplates'
+};
+
+var TemplateEngine = function(templateSources, options){
+    var options = setDefaults(options, {
+        'loaders': null,
+        'builtins': null,
+        'context_builtins': null,
+        'context_processors': null,
+        'libraries': DJANGO_TEMPLATE_SETTINGS.LIBRARIES,
+        'autoescape': DJANGO_TEMPLATE_SETTINGS.AUTOESCAPE,
+        'debug': DJANGO_TEMPLATE_SETTINGS.DEBUG,
+        'use_tz': DJANGO_TEMPLATE_SETTINGS.USE_TZ,
+        'string_if_invalid': DJANGO_TEMPLATE_SETTINGS.STRING_IF_INVALID,
+        'default_date_time_format': DJANGO_TEMPLATE_SETTINGS.DEFAULT_DATE_TIME_FORMAT,
+        'default_time_format': DJANGO_TEMPLATE_SETTINGS.DEFAULT_TIME_FORMAT,
+        'variable_name_missing_warning': DJANGO_TEMPLATE_SETTINGS.VARIABLE_NAME_MISSING_WARNING,
+        'string_template_cache_size': DJANGO_TEMPLATE_SETTINGS.STRING_TEMPLATE_CACHE_SIZE,
+        'template_store': DJANGO_TEMPLATE_SETTINGS.TEMPLATE_STORE,
+        'max_loop_iterations': DJANGO_TEMPLATE_SETTINGS.MAX_LOOP_ITERATIONS,
+        'max_output_size': DJANGO_TEMPLATE_SETTINGS.MAX_OUTPUT_SIZE,
+        'max_render_depth': DJANGO_TEMPLATE_SETTINGS.MAX_RENDER_DEPTH,
+        'render_timeout': DJANGO_TEMPLATE_SETTINGS.RENDER_TIMEOUT,
+        'compile_templates': DJANGO_TEMPLATE_SETTINGS.COMPILE_TEMPLATES
+    });
+
+    if (options.libraries){
+        Object.entries(options.libraries).forEach(function(entry){
+            var libraryName = entry[0];
+            var library = entry[1];
+            
+            if (!(library instanceof Library))
+                throw new TemplateError('Library "' + libraryName + '" is not of instance Library');
+        });
+    }
+    
+    this.parent = null;
+
+    this.templateLibraries = options.libraries || {};
+    this.templateBuiltins = [defaultTemplateLibrary].concat(this.getTemplateBuiltins(options.builtins || []));
+
+    this.contextBuiltins = {};
+    this.contextProcessors = [];
+
+    this.configure(options, true);
+
+    this.templates = {};
+    this.skipTemplates = {};
+    this.stringTemplates = new LRUCache(options.string_template_cache_size);
+
+    this.templateSources = templateSources || {};
+
+    // A list of template sources are layers tried in order
+    var layers = isArray(this.templateSources) ? this.templateSources : [this.templateSources];
+
+    var loaders = layers.map(function(layer){
+        return new LocMemLoader(layer);
+    });
+    if (options.loaders){
+        options.loaders.forEach(function(loader){
+            if (!isFunction(loader.getSource))
+                throw new TemplateError("Template loader has no getSource() method");
+        });
+
+        loaders = loaders.concat(options.loaders);
+    }
+    this.templateLoaders = loaders;
+}
+
+TemplateEngine.prototype.configure = function(settings, ignoreUnknown){
+    /*
+    Change the runtime settings of this engine: autoescape, debug, use_tz,
+    string_if_invalid, default_date_time_format, default_time_format,
+    variable_name_missing_warning, template_store, the render limits
+    (max_loop_iterations, max_output_size, max_render_depth and
+    render_timeout), compile_templates, context_builtins (added to the
+    current context builtins) and context_processors. The settings are
+    used by the templates rendered afterwards. Return the engine.
+    */
+    var self = this;
+    var debug = Boolean(this.debug);
+
+    Object.keys(settings || {}).forEach(function(name){
+        var value = settings[name];
+
+        if (hasOwnProperty(TEMPLATE_ENGINE_SETTINGS, name)){
+            self[TEMPLATE_ENGINE_SETTINGS[name]] = value;
+        } else if (name === 'context_builtins'){
+            objectMerge(self.contextBuiltins, value);
+        } else if (name === 'context_processors'){
+            self.contextProcessors = (value || []).slice();
+        } else if (!ignoreUnknown){
+            throw new TemplateError("Unknown template engine setting: " + name);
+        }
+    });
+
+    // Templates parsed in debug mode keep the positions of their tokens,
+    // so they are parsed again. The caches of a parent engine are kept.
+    if (this.templates !== undefined && Boolean(this.debug) !== debug)
+        this.createTemplateCaches();
+
+    return this;
+}
+
+TemplateEngine.prototype.createTemplateCaches = function(){
+    // Replace the caches of compiled templates, which may be shared with a parent engine
+    this.templates = {};
+    this.skipTemplates = {};
+    this.stringTemplates = new LRUCache(this.stringTemplates.maxSize);
+}
+
+TemplateEngine.prototype.extend = function(overrides){
+    /*
+    Return a child engine with the settings of this engine changed by
+    overrides. The child engine shares with this engine the libraries,
+    the loaders and, unless debug is changed, the compiled templates. The
+    list of loaders is copied: the templates added by the child engine
+    with addPrecompiledTemplates() are not found by this engine.
+    */
+    var child = Object.create(TemplateEngine.prototype);
+
+    objectMerge(child, this);
+
+    child.parent = this;
+    child.templateLoaders = this.templateLoaders.slice();
+    child.contextBuiltins = objectMerge({}, this.contextBuiltins);
+    child.contextProcessors = this.contextProcessors.slice();
+
+    return child.configure(overrides);
+}
+
+TemplateEngine.prototype.getTemplateBuiltins = function(builtins){
+    /*
+    Return the libraries loaded in every template. Builtins are
+    library instances or names of libraries registered in the engine.
+    */
+    var self = this;
+
+    return builtins.map(function(builtin){
+        if (builtin instanceof Library) return builtin;
+
+        if (!hasOwnProperty(self.templateLibraries, builtin))
+            throw new InvalidTemplateLibraryError(builtin);
+
+        return self.templateLibraries[builtin];
+    });
+}
+
+var engineCache = new LRUCache(DJANGO_TEMPLATE_SETTINGS.ENGINE_CACHE_SIZE);
+
+function getCacheKey(value){
+    /*
+    Return a string identifying the value if it only contains strings,
+    numbers, booleans, null, arrays and plain objects. Otherwise,
+    return null.
+    */
+    var serializable = function(value){
+        if (value === null || value === undefined || isString(value) || isNumber(value) || typeof value === 'boolean') return true;
+        if (isArray(value)) return value.every(serializable);
+
+        if (Object.getPrototypeOf(value) === Object.prototype || Object.getPrototypeOf(value) === null){
+            return Object.keys(value).every(function(key){
+                return serializable(value[key]);
+            });
+        }
+
+        return false;
+    }
+
+    if (!serializable(value)) return null;
+
+    return JSON.stringify(value, function(key, value){
+        // Sort the keys of the objects so the key doesn't depend on their order
+        if (value !== null && typeof value === 'object' && !isArray(value)){
+            var sorted = {};
+            Object.keys(value).sort().forEach(function(k){
+                sorted[k] = value[k];
+            });
+            return sorted;
+        }
+        return value;
+    });
+}
+
+TemplateEngine.renderTemplate = function(templateCode, context, otherTemplateSources, templateEngineOptions){
+    /*
+    Render a template string. Engines are reused between calls with the
+    same template sources and options, if they are made only of plain
+    values, so their compiled templates are reused too.
+    */
+    var key = getCacheKey([otherTemplateSources, templateEngineOptions]);
+    var engine = key === null ? undefined : engineCache.get(key);
+
+    if (engine === undefined){
+        if (key === null){
+            engine = new TemplateEngine(otherTemplateSources, templateEngineOptions);
+        } else {
+            // The cached engine uses a copy, in case the arguments are modified later
+            var args = JSON.parse(key);
+            engine = new TemplateEngine(args[0], args[1]);
+            engineCache.set(key, engine);
+        }
+    }
+
+    return engine.renderTemplateString(templateCode, context)
+}
+
+TemplateEngine.clearCache = function(){
+    // Discard the engines reused by renderTemplate()
+    engineCache.clear();
+}
+
+TemplateEngine.addToContextBuiltins = function( dict ){
+    /**
+    * Pushes a dict to the default context stack. 
+    * Every context instance will the dictes pushed to the default. 
+    *  
+    * @param {Object} The dict to be pushed 
+    */
+    objectMerge( DJANGO_TEMPLATE_SETTINGS.CONTEXT_BUILTINS, dict );
+}
+
+var DJANGO_PATH_REGISTRY = {};
+
+TemplateEngine.registerDjangoPath = function(dottedPath, obj){
+    /*
+    Register the javascript object (a template library, a context processor...)
+    used in place of the python object with the given dotted path when an
+    engine is configured from Django settings.
+    */
+    DJANGO_PATH_REGISTRY[dottedPath] = obj;
+}
+
+var DJANGO_TEMPLATE_BACKEND = 'django.template.backends.django.DjangoTemplates';
+
+TemplateEngine.fromDjangoSettings = function(config, options){
+    /*
+    Create a template engine from a JSON export of an entry of the
+    Django TEMPLATES setting.
+
+    options (all optional):
+        templateSources: template sources of the engine
+        loaders: loaders added after the ones created from the settings
+        registry: dictionary of dotted paths and javascript objects,
+            looked up before the paths registered with registerDjangoPath
+        appDirs: application directories used when APP_DIRS is true
+        onWarning: function called with a message for every setting
+            that can't be applied. Default: console.warn
+    */
+    options = setDefaults(options, {
+        'templateSources': null,
+        'loaders': null,
+        'registry': null,
+        'appDirs': null,
+        'onWarning': function(message){
+            console.warn("WARNING " + message);
+        }
+    });
+
+    var warn = options.onWarning;
+    var registry = options.registry || {};
+
+    var resolvePath = function(dottedPath){
+        if (hasOwnProperty(registry, dottedPath)) return registry[dottedPath];
+        if (hasOwnProperty(DJANGO_PATH_REGISTRY, dottedPath)) return DJANGO_PATH_REGISTRY[dottedPath];
+        return undefined;
+    }
+
+    var resolveLibrary = function(dottedPath){
+        var library = resolvePath(dottedPath);
+        if (!(library instanceof Library)) throw new InvalidTemplateLibraryError(dottedPath);
+        return library;
+    }
+
+    config = config || {};
+    var settings = copyDict(config.OPTIONS || {});
+    var engineOptions = {};
+    var loaders = [];
+
+    Object.keys(config).forEach(function(key){
+        var value = config[key];
+
+        switch (key){
+            case 'BACKEND':
+                if (value !== DJANGO_TEMPLATE_BACKEND)
+                    warn("Template backend '" + value + "' is not supported. Using the Django template language.");
+                break;
+            case 'NAME':
+            case 'OPTIONS':
+                break;
+            case 'DIRS':
+                if (value && value.length !== 0){
+                    if (typeof require === 'function'){
+                        loaders.push(new FileSystemLoader(value, settings.file_charset));
+                    } else {
+                        warn("Setting DIRS is only supported in Node.js. Ignoring it.");
+                    }
+                }
+                break;
+            case 'APP_DIRS':
+                if (value){
+                    if (options.appDirs && typeof require === 'function'){
+                        loaders.push(new AppDirectoriesLoader(options.appDirs, settings.file_charset));
+                    } else {
+                        warn("Setting APP_DIRS requires the option 'appDirs' and Node.js. Ignoring it.");
+                    }
+                }
+                break;
+            default:
+                warn("Unknown setting '" + key + "'. Ignoring it.");
+        }
+    });
+
+    Object.keys(settings).forEach(function(key){
+        var value = settings[key];
+
+        switch (key){
+            case 'debug':
+            case 'string_if_invalid':
+            case 'autoescape':
+                engineOptions[key] = value;
+                break;
+            case 'libraries':
+                engineOptions.libraries = {};
+                Object.keys(value).forEach(function(name){
+                    engineOptions.libraries[name] = resolveLibrary(value[name]);
+                });
+                break;
+            case 'builtins':
+                engineOptions.builtins = value.map(resolveLibrary);
+                break;
+            case 'file_charset':
+                break;
+            case 'loaders':
+                warn("Option 'loaders' is not supported. Use the option 'loaders' of fromDjangoSettings. Ignoring it.");
+                break;
+            case 'context_processors':
+                engineOptions.context_processors = value.map(function(dottedPath){
+                    var processor = resolvePath(dottedPath);
+                    if (!isFunction(processor)) throw new TemplateError("Invalid context processor: " + dottedPath);
+                    return processor;
+                });
+                break;
+            default:
+                warn("Unknown option '" + key + "'. Ignoring it.");
+        }
+    });
+
+    if (options.loaders) loaders = loaders.concat(options.loaders);
+    if (loaders.length !== 0) engineOptions.loaders = loaders;
+
+    return new TemplateEngine(options.templateSources, engineOptions);
+}
+
+TemplateEngine.setDefaultSettings = function( settings ){
+    /**
+    * Change the default settings used by the engines created afterwards,
+    * like the global variable DJANGO_TEMPLATE_SETTINGS does when it's
+    * defined before loading the script. Useful with module loaders.
+    *
+    * @param {Object} Dictionary of settings, e.g. {DEBUG: true}
+    */
+    Object.keys(settings).forEach(function(name){
+        if (!hasOwnProperty(DJANGO_TEMPLATE_SETTINGS, name))
+            throw new TemplateError("Unknown template setting: " + name);
+
+        DJANGO_TEMPLATE_SETTINGS[name] = settings[name];
+    });
+
+    engineCache = new LRUCache(DJANGO_TEMPLATE_SETTINGS.ENGINE_CACHE_SIZE);
+}
+
+TemplateEngine.getDefaultSettings = function(){
+    return objectMerge({}, DJANGO_TEMPLATE_SETTINGS);
+}
+
+TemplateEngine.prototype.addToContextBuiltins = function( dict ){
+    /**
+    * Add variables to the context builtins of this engine only.
+    * They are available in every template rendered by the engine.
+    *
+    * @param {Object} The dict of variables
+    */
+    objectMerge( this.contextBuiltins, dict );
+}
+
+TemplateEngine.createTemplateLibrary = function(){
+    return new Library();
+}
+
+TemplateEngine.prototype.createLibrary = function(name){
+    if (this.templateLibraries[name] !== undefined)
+        throw new Error("Library name already registered: " + name);
+    
+    var library = new Library();
+    this.templateLibraries[name] = library;
+    
+    return library;
+}
+
+TemplateEngine.prototype.addLibrary = function(name, library){
+    if (this.templateLibraries[name] !== undefined)
+        throw new Error("Library name already registered: " + name);
+    
+    if (!(library instanceof Library)){
+        throw new Error("'library' is not of instance Library");        
+    }
+    
+    this.templateLibraries[name] = library;    
+}
+
+TemplateEngine.prototype.getTemplateFromString = function(templateCode){
+    /*
+    Return a compiled Template object for the given template code,
+    handling template inheritance recursively. The compiled templates
+    are kept in a LRU cache.
+    */
+    var key = this.getStringTemplateKey(templateCode);
+    var template = this.stringTemplates.get(key);
+
+    if (template === undefined){
+        template = new Template(templateCode, null, this);
+        this.stringTemplates.set(key, template);
+    }
+
+    return template;
+}
+
+TemplateEngine.prototype.getStringTemplateKey = function(templateCode){
+    /*
+    Return the key of a template string in the LRU cache. Besides the
+    template code, it depends on what changes the compiled template: debug
+    (positions of the tokens), the registered libraries ({% load %} tags)
+    and the versions of the builtins and the libraries, which change when
+    a tag or a filter is registered or replaced.
+    */
+    var libraries = this.templateLibraries;
+
+    var versions = this.templateBuiltins.map(function(library){
+        return library.version;
+    }).concat(Object.keys(libraries).sort().map(function(name){
+        return name + ':' + libraries[name].version;
+    }));
+
+    return [this.debug ? 1 : 0, versions.join(','), templateCode].join('\n');
+}
+
+TemplateEngine.prototype.clearCache = function(){
+    // Discard the compiled templates of template strings
+    this.stringTemplates.clear();
+}
+
+TemplateEngine.prototype.precompileTemplates = function(templates){
+    /*
+    Return a bundle of precompiled templates for addPrecompiledTemplates().
+    templates is a dictionary of template names and sources or compiled
+    Template objects. It's a JSON-compatible object. In debug mode, the
+    sources are kept for the error messages.
+
+    Throw TemplateSyntaxError if a template is invalid and
+    TemplateSerializationError if it uses tags that can't be serialized.
+    */
+    var self = this;
+    var bundle = {
+        version: TEMPLATE_SERIALIZATION_VERSION,
+        debug: !!this.debug,
+        templates: {}
+    };
+
+    Object.keys(templates).forEach(function(name){
+        var template = templates[name];
+
+        if (!(template instanceof Template))
+            template = new Template(template, name, self, new Origin(name, name, null));
+
+        var entry = {nodelist: serializeNodelist(template.nodelist, template)};
+        if (bundle.debug) entry.source = template.source;
+
+        bundle.templates[name] = entry;
+    });
+
+    return bundle;
+}
+
+TemplateEngine.prototype.addPrecompiledTemplates = function(bundle){
+    /*
+    Register the templates of a bundle written by the precompiler. They are
+    found before the templates of the other loaders and replace the
+    compiled templates with the same names. The libraries used by the
+    templates must be registered in the engine with the same names as when
+    they were precompiled. Return the names of the templates.
+    */
+    var self = this;
+
+    if (!bundle || bundle.version !== TEMPLATE_SERIALIZATION_VERSION || !bundle.templates)
+        throw new TemplateSerializationError("Unsupported precompiled template bundle");
+
+    // The error messages of debug mode need the positions of the tokens
+    if (this.debug && !bundle.debug)
+        throw new TemplateSerializationError("The templates were not precompiled in debug mode");
+
+    var loader = this.templateLoaders[0];
+    var parent = this.parent;
+
+    // The loader and the compiled templates of the parent engine are not changed
+    if (parent !== null && this.templates === parent.templates)
+        this.createTemplateCaches();
+
+    if (!(loader instanceof PrecompiledLoader)){
+        loader = new PrecompiledLoader();
+        this.templateLoaders.unshift(loader);
+    } else if (parent !== null && parent.templateLoaders.indexOf(loader) !== -1){
+        loader = new PrecompiledLoader(objectMerge({}, loader.templates));
+        this.templateLoaders[0] = loader;
+    }
+
+    var names = Object.keys(bundle.templates);
+
+    names.forEach(function(name){
+        loader.templates[name] = bundle.templates[name];
+        self.invalidate(name);
+    });
+
+    return names;
+}
+
+TemplateEngine.prototype.getTemplateStoreKey = function(source, templateName){
+    /*
+    Return the key of a compiled template in the template store. It's a
+    hash of the source and of what changes the compiled nodelist: the name
+    (relative template names), debug (positions of the tokens) and the
+    tags and filters of the builtins and the registered libraries.
+    */
+    var hash = hashString([templateName || '', this.debug ? 1 : 0, this.getLibrariesSignature(), source].join('\n'));
+
+    return 'v' + TEMPLATE_SERIALIZATION_VERSION + ':' + hash;
+}
+
+TemplateEngine.prototype.getLibrariesSignature = function(){
+    // Return the names of the tags and filters of the builtins and the libraries
+    var libraries = this.templateLibraries;
+
+    var describe = function(library){
+        return Object.keys(library.tags).sort().join(',') + ';' + Object.keys(library.filters).sort().join(',');
+    }
+
+    return this.templateBuiltins.map(describe).concat(Object.keys(libraries).sort().map(function(name){
+        return name + ':' + describe(libraries[name]);
+    })).join('\n');
+}
+
+
+TemplateEngine.prototype.getTemplate = function(template_name){
+    /*
+    Return a compiled Template object for the given template name,
+    handling template inheritance recursively.
+    */
+    var template;
+
+    if (isArray(template_name)) return this.selectTemplate(template_name);
+
+    // Template names coming from template literals are SafeString objects
+    template_name = String(template_name);
+
+    if (this.templates[template_name]){
+        template = this.templates[template_name];
+    } else {
+        var found = this.findTemplateSource(template_name);
+        template = new Template(found.source, template_name, this, found.origin, found.precompiled);
+
+        this.templates[template_name] = template;
+    }
+
+    return template
+}
+
+TemplateEngine.prototype.selectTemplate = function(template_name_list){
+    /*
+    Return a compiled Template object for the first template name
+    of the list that exists.
+    */
+    if (template_name_list.length === 0)
+        throw new TemplateDoesNotExistError([]);
+
+    var errors = [];
+
+    for (var i = 0; i < template_name_list.length; i++){
+        try {
+            return this.getTemplate(template_name_list[i]);
+        } catch (e){
+            if (!(e instanceof TemplateDoesNotExistError)) throw e;
+            errors.push(e);
+        }
+    }
+
+    throw mergeTemplateDoesNotExistErrors(template_name_list.map(String), errors);
+}
+
+function defineLazyProperty(obj, name, compute){
+    /*
+    Define a property of obj whose value is computed by compute() the first
+    time it's read. It can also be set like a normal property.
+    */
+    var setValue = function(value){
+        Object.defineProperty(obj, name, {value: value, writable: true, enumerable: true, configurable: true});
+    }
+
+    Object.defineProperty(obj, name, {
+        get: function(){
+            var value = compute();
+            setValue(value);
+
+            return value;
+        },
+        set: setValue,
+        enumerable: true,
+        configurable: true
+    });
+}
+
+function mergeTemplateDoesNotExistErrors(template_name_list, errors){
+    var tried = [];
+
+    errors.forEach(function(e){
+        tried = tried.concat(e.tried);
+    });
+
+    var error = new TemplateDoesNotExistError(template_name_list, tried);
+
+    defineLazyProperty(error, 'suggestions', function(){
+        var suggestions = [];
+
+        errors.forEach(function(e){
+            e.suggestions.forEach(function(name){
+                if (suggestions.indexOf(name) === -1) suggestions.push(name);
+            });
+        });
+
+        return suggestions;
+    });
+
+    return error;
+}
+
+TemplateEngine.prototype.getTemplateNames = function(){
+    /*
+    Return the names of the templates known by the loaders.
+    */
+    var names = [];
+
+    this.templateLoaders.forEach(function(loader){
+        if (!isFunction(loader.getTemplateNames)) return;
+
+        loader.getTemplateNames().forEach(function(name){
+            if (names.indexOf(name) === -1) names.push(name);
+        });
+    });
+
+    return names;
+}
+
+TemplateEngine.prototype.getTemplateNameSuggestions = function(template_name){
+    /*
+    Return up to three known template names similar to template_name,
+    the most similar first.
+    */
+    return getCloseMatches(template_name, this.getTemplateNames(), 3, 0.6);
+}
+
+TemplateEngine.prototype.templateDoesNotExist = function(template_name, tried){
+    /*
+    Create a TemplateDoesNotExistError with suggestions of template names.
+    Missing templates are expected when selecting a template from a list,
+    so the suggestions are only looked for when they are read.
+    */
+    var self = this;
+    var error = new TemplateDoesNotExistError(template_name, tried);
+
+    defineLazyProperty(error, 'suggestions', function(){
+        return self.getTemplateNameSuggestions(template_name);
+    });
+
+    return error;
+}
+
+TemplateEngine.prototype.findTemplate = function(template_name, skip){
+    /*
+    Return a compiled Template object for the given template name (or list
+    of names) ignoring the origins in the list skip. Used by the 'extends'
+    tag to find the parent of a template with the same name.
+    */
+    if (!skip || skip.length === 0) return this.getTemplate(template_name);
+
+    if (isArray(template_name)){
+        var errors = [];
+
+        for (var i = 0; i < template_name.length; i++){
+            try {
+                return this.findTemplate(template_name[i], skip);
+            } catch (e){
+                if (!(e instanceof TemplateDoesNotExistError)) throw e;
+                errors.push(e);
+            }
+        }
+
+        throw mergeTemplateDoesNotExistErrors(template_name.map(String), errors);
+    }
+
+    template_name = String(template_name);
+
+    // Unless it's skipped, the first template found is the cached template
+    var template = this.getTemplate(template_name);
+    if (!isSkippedOrigin(template.origin, skip)) return template;
+
+    var key = [template_name].concat(skip.map(function(origin){
+        return origin.name;
+    })).join('\n');
+
+    var found = this.findTemplateSource(template_name, skip);
+
+    template = this.skipTemplates[key];
+    if (!template || template.source !== found.source || !template.origin.isEqual(found.origin)){
+        template = new Template(found.source, template_name, this, found.origin, found.precompiled);
+        this.skipTemplates[key] = template;
+    }
+
+    return template;
+}
+
+TemplateEngine.prototype.findTemplateSource = function(template_name, skip){
+    /*
+    Ask each loader in turn for the source of the template. Return the
+    first {source, origin} found or raise TemplateDoesNotExistError.
+    */
+    var tried = [];
+
+    for (var i = 0; i < this.templateLoaders.length; i++){
+        var found;
+
+        try {
+            found = this.templateLoaders[i].getSource(template_name, skip, tried);
+        } catch (e){
+            if (e instanceof TemplateDoesNotExistError){
+                tried = tried.concat(e.tried);
+                continue;
+            }
+            throw e;
+        }
+
+        if (found !== null && found !== undefined) return found;
+    }
+
+    throw this.templateDoesNotExist(template_name, tried);
+}
+
+TemplateEngine.prototype.findTemplateSourceAsync = function(template_name){
+    /*
+    Like findTemplateSource() but returning a promise. Loaders with a
+    getSourceAsync() method are asked asynchronously.
+    */
+    var self = this;
+    var tried = [];
+
+    var tryLoader = function(i){
+        if (i === self.templateLoaders.length)
+            return Promise.reject(self.templateDoesNotExist(template_name, tried));
+
+        var loader = self.templateLoaders[i];
+
+        return new Promise(function(resolve){
+            resolve(isFunction(loader.getSourceAsync) ? loader.getSourceAsync(template_name, null, tried) : loader.getSource(template_name, null, tried));
+        }).then(function(found){
+            if (found === null || found === undefined) return tryLoader(i + 1);
+            return found;
+        }, function(e){
+            if (e instanceof TemplateDoesNotExistError){
+                tried = tried.concat(e.tried);
+                return tryLoader(i + 1);
+            }
+            throw e;
+        });
+    }
+
+    return tryLoader(0);
+}
+
+TemplateEngine.prototype.getTemplateAsync = function(template_name){
+    /*
+    Return a promise of a compiled Template object for the given template
+    name, or for the first one that exists if a list of names is given.
+    The templates used in its 'extends' and 'include' tags with a
+    constant name are loaded too. Templates already compiled are reused
+    if their source didn't change.
+    */
+    var self = this;
+
+    if (!isArray(template_name)) return this._getTemplateAsync(String(template_name), {});
+
+    var template_name_list = template_name.map(String);
+    if (template_name_list.length === 0)
+        return Promise.reject(new TemplateDoesNotExistError([]));
+
+    var errors = [];
+
+    var trySelect = function(i){
+        if (i === template_name_list.length)
+            return Promise.reject(mergeTemplateDoesNotExistErrors(template_name_list, errors));
+
+        return self._getTemplateAsync(template_name_list[i], {}).catch(function(e){
+            if (e instanceof TemplateDoesNotExistError){
+                errors.push(e);
+                return trySelect(i + 1);
+            }
+            throw e;
+        });
+    }
+
+    return trySelect(0);
+}
+
+TemplateEngine.prototype._getTemplateAsync = function(template_name, loading){
+    var self = this;
+
+    loading[template_name] = true;
+
+    return this.findTemplateSourceAsync(template_name).then(function(found){
+        var template = self.templates[template_name];
+
+        if (template && template.source === found.source){
+            template.origin = found.origin;
+        } else {
+            template = new Template(found.source, template_name, self, found.origin, found.precompiled);
+            self.templates[template_name] = template;
+        }
+
+        var dependencies = getTemplateDependencies(template).filter(function(name){
+            return !loading[name];
+        });
+
+        return Promise.all(dependencies.map(function(name){
+            return self._getTemplateAsync(name, loading).catch(function(e){
+                // The tag could be in a branch never rendered. If it's rendered,
+                // the error is raised at rendering time.
+                if (!(e instanceof TemplateDoesNotExistError)) throw e;
+            });
+        })).then(function(){
+            return template;
+        });
+    });
+}
+
+TemplateEngine.prototype.renderToStringAsync = function(template_name, context, request, options){
+    /*
+    Return a promise of the template specified by template_name rendered
+    with the given context, fetching the templates with the asynchronous
+    loaders when necessary. Promises in the values of the variables are
+    awaited, see Template.renderAsync(). options are the options of
+    Template.render().
+    */
+    var self = this;
+    var limits = new RenderLimits(this, options ? options.signal : null);
+
+    return limits.wait(this.getTemplateAsync(template_name)).then(function(template){
+        var templateContext = self.makeContext(context, request);
+
+        return renderWithPromises(renderChunksWithLimits(template, templateContext, limits), limits);
+    });
+}
+
+TemplateEngine.prototype.getTemplateDependents = function(template_name){
+    /*
+    Return the names of the cached templates that extend or include the
+    given template, directly or through other templates.
+    */
+    var self = this;
+
+    var dependents = {};
+    Object.keys(this.templates).forEach(function(name){
+        getTemplateDependencies(self.templates[name]).forEach(function(dependency){
+            if (!dependents[dependency]) dependents[dependency] = [];
+            dependents[dependency].push(name);
+        });
+    });
+
+    var result = [];
+    var pending = [template_name];
+
+    while (pending.length !== 0){
+        (dependents[pending.shift()] || []).forEach(function(name){
+            if (name === template_name || result.indexOf(name) !== -1) return;
+
+            result.push(name);
+            pending.push(name);
+        });
+    }
+
+    return result;
+}
+
+TemplateEngine.prototype.invalidate = function(template_name){
+    /*
+    Remove the compiled template and every cached template depending on
+    it, so they are loaded and compiled again the next time they are used.
+    Return the names of the removed templates.
+    */
+    var self = this;
+
+    template_name = String(template_name);
+
+    var invalidated = [template_name].concat(this.getTemplateDependents(template_name));
+    invalidated.forEach(function(name){
+        delete self.templates[name];
+    });
+    clearDict(this.skipTemplates);
+
+    return invalidated;
+}
+
+TemplateEngine.prototype.setTemplateSource = function(template_name, source){
+    /*
+    Replace the source of a template registered in the engine template
+    sources, invalidate its dependents and return the template compiled
+    again.
+    */
+    template_name = String(template_name);
+
+    var layers = isArray(this.templateSources) ? this.templateSources : [this.templateSources];
+    var layer = layers.find(function(layer){
+        return hasOwnProperty(layer, template_name);
+    }) || layers[0];
+
+    layer[template_name] = source;
+    this.invalidate(template_name);
+
+    return this.getTemplate(template_name);
+}
+
+TemplateEngine.prototype.resetLoaders = function(){
+    /*
+    Drop the compiled templates and reset the state of every loader.
+    */
+    clearDict(this.templates);
+    clearDict(this.skipTemplates);
+    this.templateLoaders.forEach(function(loader){
+        if (isFunction(loader.reset)) loader.reset();
+    });
+}
+
+TemplateEngine.prototype.makeContext = function(context, request){
+    /*
+    Create a Context for rendering a template of the engine from a
+    dictionary of template variables. The variables returned by the
+    context processors are added below the given variables. If a request
+    is given, a RequestContext is created.
+    */
+    var builtins = objectMerge(objectMerge({}, DJANGO_TEMPLATE_SETTINGS.CONTEXT_BUILTINS), this.contextBuiltins);
+    var result;
+
+    if (request !== undefined && request !== null){
+        result = new RequestContext(request, null, {autoescape: this.autoescape, builtins: builtins, engine: this});
+        if (context !== undefined && context !== null) result.push(context);
+
+        return result;
+    }
+
+    result = new Context(null, {autoescape: this.autoescape, builtins: builtins, engine: this});
+
+    if (this.contextProcessors.length !== 0){
+        var processed = {};
+        this.contextProcessors.forEach(function(processor){
+            var values = processor(null);
+            if (values) objectMerge(processed, values);
+        });
+
+        result.update(processed);
+    }
+
+    if (context !== undefined && context !== null) result.update(context);
+
+    return result;
+}
+
+TemplateEngine.prototype.renderTemplateString = function(templateCode, context, request, options){
+    var t = this.getTemplateFromString(templateCode);
+
+    return t.render(this.makeContext(context, request), options) + ""
+}
+
+TemplateEngine.prototype.renderToString = function(template_name, context, request, options){
+    /*
+    Render the template specified by template_name with the given context.
+    The optional request is passed to the context processors. options are
+    the options of Template.render().
+    */
+    var t = this.getTemplate(template_name);
+
+    return t.render(this.makeContext(context, request), options) + ""
+}
+
+TemplateEngine.prototype.renderToStream = function(template_name, context, request, options){
+    /*
+    Return a generator of the chunks of the template specified by
+    template_name rendered with the given context. See Template.renderStream().
+    */
+    var t = this.getTemplate(template_name);
+
+    return t.renderStream(this.makeContext(context, request), options);
+}
+
+TemplateEngine.prototype.renderToReadableStream = function(template_name, context, request, options){
+    // Like renderToStream(), returning a WHATWG ReadableStream
+    var t = this.getTemplate(template_name);
+
+    return t.renderReadableStream(this.makeContext(context, request), options);
+}
+
+TemplateEngine.prototype.templateResponse = function(template, context, request){
+    /*
+    Return a TemplateResponse that renders the template with the given
+    context when its render() method is called. template is a template
+    name, a list of template names or a Template object.
+    */
+    return new TemplateResponse(this, template, context, request);
+}
+
+
+/**
+ * Lazily rendered template, like the TemplateResponse class of Django.
+ *
+ * The template and the context can be changed, e.g. by middleware, until
+ * render() is called. Callbacks registered with addPostRenderCallback()
+ * are called after rendering.
+ *
+ * @param {TemplateEngine} engine Engine that renders the template
+ * @param {string|Array|Template} template Template name, list of template names or Template object
+ * @param {Object} context Dictionary of template variables
+ * @param {Object} request Optional request passed to the context processors
+ */
+var TemplateResponse = function(engine, template, context, request){
+    this.engine = engine;
+    this.templateName = template;
+    this.contextData = context;
+    this.request = request;
+
+    this.isRendered = false;
+    this._content = null;
+    this._postRenderCallbacks = [];
+}
+
+TemplateResponse.prototype.resolveTemplate = function(template){
+    // Return the Template object of a template name, a list of names or a Template
+    if (template instanceof Template) return template;
+
+    return this.engine.getTemplate(template);
+}
+
+TemplateResponse.prototype.resolveContext = function(context){
+    // Return the context passed to the template. Subclasses can change it.
+    return context;
+}
+
+Object.defineProperty(TemplateResponse.prototype, 'renderedContent', {
+    get: function(){
+        /*
+        Render the template with the current template and context. Unlike
+        render(), the result isn't kept and the post-render callbacks aren't
+        called.
+        */
+        var template = this.resolveTemplate(this.templateName);
+        var context = this.resolveContext(this.contextData);
+
+        return template.render(this.engine.makeContext(context, this.request)) + "";
+    }
+});
+
+Object.defineProperty(TemplateResponse.prototype, 'content', {
+    get: function(){
+        if (!this.isRendered)
+            throw new ContentNotRenderedError("The response content must be rendered before it can be accessed.");
+
+        return this._content;
+    },
+    set: function(value){
+        // Setting the content marks the response as rendered
+        this._content = value;
+        this.isRendered = true;
+    }
+});
+
+TemplateResponse.prototype.addPostRenderCallback = function(callback){
+    /*
+    Add a function called with the response after it's rendered. If the
+    response is already rendered, the function is called immediately.
+    */
+    if (this.isRendered){
+        callback(this);
+    } else {
+        this._postRenderCallbacks.push(callback);
+    }
+}
+
+TemplateResponse.prototype.render = function(){
+    /*
+    Render the response once and call the post-render callbacks. Each
+    callback is called with the response or the last value other than
+    undefined returned by a previous callback, and the last of them is
+    returned. Calling render() again doesn't render the response again.
+    */
+    var retval = this;
+
+    if (!this.isRendered){
+        this.content = this.renderedContent;
+
+        var callbacks = this._postRenderCallbacks;
+        this._postRenderCallbacks = [];
+
+        callbacks.forEach(function(callback){
+            var newRetval = callback(retval);
+
+            if (newRetval !== undefined) retval = newRetval;
+        });
+    }
+
+    return retval;
+}
+
+
+TemplateEngine.Context = Context;
+TemplateEngine.RequestContext = RequestContext;
+TemplateEngine.QueryDict = QueryDict;
+TemplateEngine.HttpRequest = HttpRequest;
+TemplateEngine.TemplateResponse = TemplateResponse;
+TemplateEngine.contextProcessors = {
+    'request': requestContextProcessor
+};
+
+DJANGO_PATH_REGISTRY['django.template.context_processors.request'] = requestContextProcessor;
+
+
+// Globals
+
+var TEXT_TOKEN = 0,
+    VAR_TOKEN = 1,
+    BLOCK_TOKEN = 2,
+    COMMENT_TOKEN = 3;
+
+
+var TOKEN_TYPE_NAMES = [
+    "text",
+    "var",
+    "block",
+    "comment"];
+
+
+var Token = function(token_type, contents, position, lineno) {
+  this.token_type = token_type;
+  this.contents = contents;
+
+  this.position = position;
+  this.lineno = lineno;
+}
+
+Token.prototype.toString = function() {
+  // NB: this should only be
+  // debug output, so it's
+  // probably safe to use
+  // JSON.stringify here.
+  var tokenName = TOKEN_TYPE_NAMES[this.token_type].toUpperCase();
+
+  return '<' + tokenName + ' token: "' + this.contents.substr(0, 20).replace('\n', '') + '...">';
+}
+
+Token.prototype.splitContents = function(){
+    var split = [], bit;
+    var bits = smart_split(this.contents);
+
+    for (var i = 0; i < bits.length; i++){
+        bit = bits[i];
+
+        // Handle translation-marked template pieces
+        if (bit.startsWith('_("') || bit.startsWith("_('")){
+            var sentinel = bit[2] + ')';
+            var trans_bit = [bit];
+
+            while (!bit.endsWith(sentinel)){
+                i +=1;
+                bit = bits[i];
+                trans_bit.push(bit)
+            }
+
+            bit = trans_bit.join(' ')
+        }
+        split.push(bit)
+    }
+
+    return split
+}
+
+
+// BEGIN COMPILER: the lexer and the parser are removed from the runtime
+// build written by django_template_precompile.js --runtime
+var Lexer = function(templateString){
+    this.templateString = templateString;
+    this.verbatim = false;
+}
+
+Lexer.prototype.tokenize = function(){
+    /*
+        Return a list of tokens from a given templateString.
+    */
+    var self = this;
+
+    var in_tag = false;
+    var lineno = 1;
+    var result = [];
+
+    this.templateString.split(tag_re).forEach(function(bit){
+        if (bit !== ""){
+            result.push(self.createToken(bit, null, lineno, in_tag));
+            lineno += countNewLines(bit);
+        }
+        in_tag = !in_tag;
+    });
+
+    return result
 }
 
 
@@ -2567,10 +4788,11 @@ DebugLexer.prototype.tokenize = function(){
 }
 
 
-var Parser = function(tokens, libraries, builtins){
+var Parser = function(tokens, libraries, builtins, origin){
     var self = this;
 
     this.tokens = tokens;
+    this.origin = origin || null;
     this.tags = {};
     this.filters = {};
     this.commandStack = [];
@@ -2691,6 +4913,7 @@ Parser.prototype.extendNodelist = function(nodelist, node, token){
     }
     // Set origin and token here since we can't modify the node __init__() method.
     node.token = token
+    node.origin = this.origin;
     nodelist.push(node)
 }
 
@@ -2767,6 +4990,7 @@ Parser.prototype.findFilter = function(filterName){
         throw new TemplateSyntaxError("Invalid filter: '" + filterName + "'");
     }
 }
+// END COMPILER
 
 
 /* This only matches constant *strings* (things in quotes or marked for
@@ -2878,7 +5102,7 @@ var FilterExpression = function(token, parser){
 }
 
 FilterExpression.prototype.resolve = function(context, opts){
-    var obj, new_obj;
+    var obj;
 
     opts = opts || {};
     var ignore_failures = opts.ignore_failures || false;
@@ -2890,17 +5114,10 @@ FilterExpression.prototype.resolve = function(context, opts){
             if (ignore_failures){
                 obj = null;
             } else {
-                if (context.template.engine.debug){
-                    console.log("WARNING Variable does not exists: " + this.variableObj.variable);
-                }
-
-                var stringIfInvalid = context.template.engine.stringIfInvalid;
-                if (stringIfInvalid) {
-                    stringIfInvalid = stringIfInvalid.replace("%s", this.variableObj.variable);
-                    return stringIfInvalid
-                }
+                obj = this.getInvalidValue(context);
 
-                obj = stringIfInvalid;
+                // The filters aren't applied to string_if_invalid
+                if (obj) return obj;
             }
         }
     } else {
@@ -2910,38 +5127,73 @@ FilterExpression.prototype.resolve = function(context, opts){
     this.filters.forEach(function(filter){
         var func = filter[0];
         var argDef = filter[1];
-
-        var funcFilterArguments = [obj];
+        var arg = null;
 
         if (argDef){
             var lookup = argDef[0];
-            var arg = argDef[1];
 
             if (lookup){
-                funcFilterArguments.push(arg.resolve(context));
+                arg = argDef[1].resolve(context);
             } else {
-                funcFilterArguments.push(markSafe(arg));
+                arg = markSafe(argDef[1]);
             }
-        } else {
-            funcFilterArguments.push(null);
         }
 
-        var filter_options = func._filter_options;
+        obj = applyFilter(func, obj, arg, context);
+    });
 
-        if (filter_options && filter_options.needs_autoescape) {
-            funcFilterArguments.push(context.autoescape);
-        }
+    return obj;
+}
+
+FilterExpression.prototype.getInvalidValue = function(context){
+    // Warn that the variable is missing and return string_if_invalid
+    var engine = context.getEngine();
+
+    if (engine.debug){
+        logWarning("WARNING " + engine.variableNameMissingWarning.replace("%s", this.variableObj.variable));
+    }
+
+    var stringIfInvalid = engine.stringIfInvalid;
+    if (stringIfInvalid) {
+        stringIfInvalid = stringIfInvalid.replace("%s", this.variableObj.variable);
+    }
+
+    return stringIfInvalid;
+}
+
+function applyFilter(func, obj, arg, context){
+    /*
+    Return the result of the filter function func applied to obj, with the
+    argument arg (null if the filter has no argument).
+    */
+    var new_obj;
+    var funcFilterArguments = [obj, arg];
+    var filter_options = func._filter_options;
+
+    if (filter_options && filter_options.needs_autoescape) {
+        funcFilterArguments.push(context.autoescape);
+    }
+
+    if (filter_options && filter_options.needs_engine) {
+        funcFilterArguments.push(context.getEngine());
+    }
 
+    if (filter_options && filter_options.is_async){
+        new_obj = callAsyncFunction(func, funcFilterArguments.slice(0, 2), function(){
+            return func.apply(null, funcFilterArguments);
+        }, "The filter '" + func._filter_name + "'");
+    } else {
         new_obj = func.apply(null, funcFilterArguments);
+    }
 
-        if (filter_options && filter_options.is_safe && obj instanceof SafeString){
-            obj = markSafe(new_obj);
-        } else {
-            obj = new_obj;
-        }
-    });
+    new_obj = resolveAwaitable(new_obj);
+    if (new_obj === PENDING_VALUE) new_obj = undefined;
 
-    return obj;
+    if (filter_options && filter_options.is_safe && obj instanceof SafeString){
+        return markSafe(new_obj);
+    }
+
+    return new_obj;
 }
 
 FilterExpression.prototype.toString = function(){
@@ -3044,6 +5296,7 @@ Variable.prototype._resolveLookup = function(context){
     detail and shouldn't be called by external code. Use Variable.resolve()
     instead.
     */
+    var obj, new_obj;
 
     if (context instanceof BaseContext){
         obj = context.get(this.lookups[0], VARIABLE_DOES_NOT_EXISTS);
@@ -3052,65 +5305,552 @@ Variable.prototype._resolveLookup = function(context){
         obj = context[this.lookups[0]];
     }
 
-    var p = this.lookups.slice(1);
-    for( var i=0, j=p.length; i<j; ++i ){
-        new_obj = obj[ p[ i ] ]
-        if( new_obj === undefined)
-            break;
- 
-        if (isFunction(new_obj) && !new_obj.do_not_call_in_templates){
-            if (new_obj.alters_data){
-                // TODO
-                // current = context.template.engine.string_if_invalid
-                throw new Error('Variable alters data')
-            } else {          
-                new_obj = new_obj.call(obj);
+    obj = resolveAwaitable(obj);
+    if (obj === PENDING_VALUE) return undefined;
+
+    var p = this.lookups.slice(1);
+    for( var i=0, j=p.length; i<j; ++i ){
+        new_obj = getVariableAttribute(obj, p[ i ]);
+
+        if (new_obj === NO_ATTRIBUTE)
+            break;
+
+        if (new_obj === PENDING_VALUE) return undefined;
+
+        obj = new_obj;
+    }
+    return obj;
+}
+
+// Value returned by getVariableAttribute() for a missing attribute
+var NO_ATTRIBUTE = {};
+
+function getVariableAttribute(obj, key){
+    /*
+    Return the attribute key of obj for a lookup of a variable, calling it
+    if it's a method, or NO_ATTRIBUTE if it's undefined. During an
+    asynchronous rendering, PENDING_VALUE is returned for pending promises.
+    */
+    var new_obj = undefined;
+
+    // Dictionary lookup first, like Django
+    if (obj !== null && obj !== undefined && isFunction(obj.__getitem__))
+        new_obj = obj.__getitem__(key);
+
+    if (new_obj === undefined)
+        new_obj = obj[ key ]
+
+    if( new_obj === undefined)
+        return NO_ATTRIBUTE;
+
+    if (isFunction(new_obj) && !new_obj.do_not_call_in_templates){
+        if (new_obj.alters_data){
+            // TODO
+            // current = context.template.engine.string_if_invalid
+            throw new Error('Variable alters data')
+        } else {
+            new_obj = callVariableMethod(new_obj, obj, key);
+        }
+    }
+
+    return resolveAwaitable(new_obj, obj, key);
+}
+
+
+// Maximum number of times a node is rendered waiting for the promises of its variables
+var MAX_ASYNC_NODE_RENDERS = 100;
+
+// Value of the variables whose promise is not settled yet
+var PENDING_VALUE = {};
+
+/**
+ * State of an asynchronous rendering, see renderWithPromises().
+ *
+ * The promises found when resolving variables are collected in pending.
+ * Once settled, their results are kept so that the node rendered again
+ * uses them instead of the promises. The warnings of a node are kept in
+ * warnings until it's rendered without pending promises.
+ */
+var AsyncRenderState = function(){
+    this.pending = [];
+    this.settled = new Map();
+    this.lookups = new Map();
+    this.calls = new Map();
+    this.warnings = null;
+}
+
+AsyncRenderState.prototype.call = function(key, args, fn){
+    /*
+    Return the result of fn(), which calls an asynchronous filter or tag
+    with the arguments args. The result of the previous call with the same
+    key and equal arguments is reused, so the function isn't called again
+    by the next renderings.
+    */
+    var calls = this.calls.get(key);
+
+    if (calls === undefined){
+        calls = [];
+        this.calls.set(key, calls);
+    }
+
+    for (var i = 0; i < calls.length; i++){
+        if (isSameArgument(calls[i].args, args)) return calls[i].result;
+    }
+
+    var result = fn();
+    calls.push({args: args, result: result});
+
+    return result;
+}
+
+AsyncRenderState.prototype.resolve = function(value, owner, key){
+    /*
+    Return the result of value if it's a settled promise, PENDING_VALUE if
+    it's a pending promise and value otherwise. If value was looked up as
+    the attribute key of owner, the promise found the first time is used,
+    so methods returning a new promise on every call are awaited once.
+    */
+    if (!isThenable(value)) return value;
+
+    if (owner !== undefined && owner !== null){
+        var lookups = this.lookups.get(owner);
+
+        if (lookups === undefined){
+            lookups = new Map();
+            this.lookups.set(owner, lookups);
+        }
+
+        if (lookups.has(key)){
+            value = lookups.get(key);
+        } else {
+            lookups.set(key, value);
+        }
+    }
+
+    var result = this.settled.get(value);
+
+    if (result === undefined){
+        if (this.pending.indexOf(value) === -1) this.pending.push(value);
+        return PENDING_VALUE;
+    }
+
+    if (result.rejected) throw result.reason;
+
+    return result.value;
+}
+
+AsyncRenderState.prototype.log = function(warnings){
+    // Log the warnings of a node, or keep them with the warnings of the node containing it
+    if (this.warnings !== null){
+        this.warnings.push.apply(this.warnings, warnings);
+    } else {
+        warnings.forEach(function(message){
+            console.log(message);
+        });
+    }
+}
+
+AsyncRenderState.prototype.settle = function(){
+    // Return a promise resolved when the pending promises are settled
+    var self = this;
+    var pending = this.pending;
+
+    this.pending = [];
+
+    return Promise.all(pending.map(function(promise){
+        return Promise.resolve(promise).then(function(value){
+            self.settled.set(promise, {value: value});
+        }, function(reason){
+            self.settled.set(promise, {rejected: true, reason: reason});
+        });
+    }));
+}
+
+function isSameArgument(a, b){
+    // Compare the arguments of two calls of an asynchronous function
+    if (a === b) return true;
+
+    if (a instanceof SafeString && b instanceof SafeString) return a.toString() === b.toString();
+
+    if (isArray(a) && isArray(b)){
+        return a.length === b.length && a.every(function(item, i){
+            return isSameArgument(item, b[i]);
+        });
+    }
+
+    if (a !== null && b !== null && typeof a === 'object' && typeof b === 'object' &&
+            Object.getPrototypeOf(a) === Object.prototype && Object.getPrototypeOf(b) === Object.prototype){
+        var keys = Object.keys(a);
+
+        return keys.length === Object.keys(b).length && keys.every(function(key){
+            return hasOwnProperty(b, key) && isSameArgument(a[key], b[key]);
+        });
+    }
+
+    return false;
+}
+
+// State of the asynchronous rendering in progress, if any
+var asyncRenderState = null;
+
+function callAsyncFunction(key, args, fn, description){
+    /*
+    Call fn(), which calls the asynchronous filter or tag described by
+    description, during an asynchronous rendering. Throw a TemplateError
+    when rendering synchronously.
+    */
+    if (asyncRenderState === null)
+        throw new TemplateError(description + " is asynchronous: render the template with renderToStringAsync() or renderAsync()");
+
+    return asyncRenderState.call(key, args, fn);
+}
+
+function resolveAwaitable(value, owner, key){
+    /*
+    Return the value of a variable or of one of its attributes. During an
+    asynchronous rendering, promises are replaced by their result or, if
+    they are not settled yet, by PENDING_VALUE.
+    */
+    if (asyncRenderState === null) return value;
+
+    return asyncRenderState.resolve(value, owner, key);
+}
+
+function isRenderPending(){
+    /*
+    Return whether promises found by the node being rendered asynchronously
+    are pending. The node is rendered again once they are settled, so it
+    can stop before its side effects.
+    */
+    return asyncRenderState !== null && asyncRenderState.pending.length !== 0;
+}
+
+function logWarning(message){
+    // Log a warning of the rendering, unless the node is rendered again
+    if (asyncRenderState !== null){
+        asyncRenderState.log([message]);
+    } else {
+        console.log(message);
+    }
+}
+
+function callVariableMethod(func, obj, key){
+    /*
+    Call a method found when resolving a variable. During an asynchronous
+    rendering, a method that returned a promise isn't called again by the
+    next renderings.
+    */
+    if (asyncRenderState !== null){
+        var lookups = asyncRenderState.lookups.get(obj);
+
+        if (lookups !== undefined && lookups.has(key)) return lookups.get(key);
+    }
+
+    return func.call(obj);
+}
+
+/**
+ * Chunk yielded during an asynchronous rendering by a node waiting for a
+ * promise before being rendered again, see awaitPending().
+ */
+var AsyncWait = function(promise){
+    this.promise = promise;
+}
+
+function* awaitPending(context, attempt, abandon){
+    /*
+    Return the result of attempt(), which renders a node or starts
+    rendering it, during an asynchronous rendering. While attempt() finds
+    pending promises, an AsyncWait for them is yielded and attempt() is
+    called again, after abandon(result) if it returned a result. The
+    warnings of the discarded attempts aren't logged.
+    */
+    var state = asyncRenderState;
+    var contextSize = context.dicts.length;
+
+    for (var renders = 1; ; renders++){
+        var outerWarnings = state.warnings;
+        var failed = false;
+        var result, error;
+
+        state.warnings = [];
+
+        try {
+            result = attempt();
+        } catch (e){
+            failed = true;
+            error = e;
+        }
+
+        var warnings = state.warnings;
+        state.warnings = outerWarnings;
+
+        if (state.pending.length === 0){
+            state.log(warnings);
+
+            if (failed) throw error;
+            return result;
+        }
+
+        // Errors are expected while values are missing
+        if (!failed && abandon) abandon(result);
+
+        if (renders >= MAX_ASYNC_NODE_RENDERS)
+            throw new TemplateError("Too many renderings of a node waiting for the promises of the template variables");
+
+        // Discard the variables set by the discarded attempt
+        context.dicts.length = contextSize;
+
+        yield new AsyncWait(state.settle());
+    }
+}
+
+function renderWithPromises(chunks, limits){
+    /*
+    Return a promise of the output of chunks, the generator of
+    renderChunks() for a template, rendered once waiting for the promises
+    found by its nodes: a node yielding an AsyncWait is rendered again once
+    the promise is settled (see awaitPending()). The optional RenderLimits
+    limits stop the waits.
+    */
+    var state = new AsyncRenderState();
+    var output = [];
+
+    var step = function(method, value){
+        var previousState = asyncRenderState;
+        asyncRenderState = state;
+
+        try {
+            var next = chunks[method](value);
+
+            while (!next.done){
+                if (next.value instanceof AsyncWait){
+                    return wait(next.value.promise).then(function(){
+                        return step('next');
+                    }, function(e){
+                        // Thrown by the node waiting, restoring the context
+                        return step('throw', e);
+                    });
+                }
+
+                output.push(next.value + '');
+                next = chunks.next();
+            }
+        } catch (e){
+            // Run the pending finally blocks, restoring the context
+            chunks.return();
+            throw e;
+        } finally {
+            asyncRenderState = previousState;
+        }
+
+        return output.join('');
+    }
+
+    var wait = function(promise){
+        return limits ? limits.wait(promise) : promise;
+    }
+
+    return Promise.resolve().then(function(){
+        return step('next');
+    });
+}
+
+function* renderChunksWithLimits(template, context, limits){
+    // Like withRenderLimits(), for the chunks of the template rendered with the context
+    var renderContext = context.renderContext;
+    var previousLimits = renderContext.limits;
+    renderContext.limits = limits;
+
+    try {
+        yield* renderTemplateChunks(template, context);
+    } finally {
+        renderContext.limits = previousLimits;
+    }
+}
+
+
+var _NODE_ID = 0;
+
+var Node = function(){
+    this._id = _NODE_ID++;
+    this._nodeKey = Symbol(this._id);
+};
+
+Node.prototype.toString = function(){
+    return "<"+ this.constructor.name + " #" + this._id + ">";
+};
+
+// Set this to true for nodes that must be first in the template (although they can be preceded by text nodes.
+Node.prototype.must_be_first = false;
+Node.prototype.child_nodelists = ['nodelist'];
+Node.prototype.token = null;
+Node.prototype.origin = null;
+
+// Attributes that aren't kept when the node is serialized to a template store
+Node.prototype.transient_attributes = ['_id', '_nodeKey'];
+
+Node.prototype.restoreTransientAttributes = function(){
+    this._id = _NODE_ID++;
+    this._nodeKey = Symbol(this._id);
+}
+
+
+// Generator yielding the output of a node containing other nodes, see joinParts()
+Node.prototype.renderParts = null;
+
+Node.prototype.render = function(context){
+    // Return the node rendered as a string.
+    if (this.renderParts !== null) return joinParts(this.renderParts(context), context);
+}
+
+Node.prototype.renderAnnotated = function(context){
+    /*
+    Render the node. If debug is true and an exception occurs during
+    rendering, the exception is annotated with contextual line information
+    where it occurred in the template. For internal usage this method is
+    preferred over using the render method directly.
+    */
+    try{
+        checkRenderLimits(context, this);
+        return this.render(context);
+    }catch(e){
+        this.annotateException(e, context);
+        throw e;
+    }
+
+}
+
+Node.prototype.annotateException = function(e, context){
+    if (context.getEngine().debug && !e.template_debug) {
+        e.template_debug = context.renderContext.template.getExceptionInfo(e, this.token);
+    }
+}
+
+function joinParts(parts, context){
+    /*
+    Render the parts yielded by a renderParts() generator: strings, and
+    nodelists, templates or other objects with a render() method, rendered
+    with the context when they are yielded. The state of the context is
+    set by the generator around the yield, and an exception rendering a
+    part is thrown into the generator at the yield.
+    */
+    var output = '';
+    var result = parts.next();
+
+    while (!result.done){
+        var part = result.value;
+
+        try {
+            output += (isString(part) ? part : part.render(context)) + '';
+        } catch(e){
+            result = parts.throw(e);
+            continue;
+        }
+
+        result = parts.next();
+    }
+
+    return markSafe(output);
+}
+
+function* streamParts(createParts, context){
+    /*
+    Like joinParts(), yielding the output of the parts of the generator
+    returned by createParts() as it's rendered. During an asynchronous
+    rendering, the generator is created again until its first part is
+    yielded without pending promises.
+    */
+    var parts, result;
+
+    var start = function(){
+        parts = createParts();
+        return parts.next();
+    }
+
+    if (asyncRenderState === null){
+        result = start();
+    } else {
+        result = yield* awaitPending(context, start, function(){
+            parts.return();
+        });
+    }
+
+    try {
+
+        while (!result.done){
+            var part = result.value;
+
+            try {
+                if (isString(part)){
+                    yield renderCounted(context, function(){
+                        return part;
+                    });
+                } else {
+                    yield* renderTemplateChunks(part, context);
+                }
+            } catch(e){
+                result = parts.throw(e);
+                continue;
             }
+
+            result = parts.next();
         }
-        
-        obj = new_obj;
+    } finally {
+        // Restore the context if the stream is closed before its end
+        parts.return();
     }
-    return obj;
 }
 
+function checkRenderLimits(context, node){
+    var renderContext = context.renderContext;
 
-var _NODE_ID = 0;
+    if (renderContext.limits !== null)
+        renderContext.limits.check(renderContext.template, node);
+}
 
-var Node = function(){
-    this._id = _NODE_ID++;
-    this._nodeKey = Symbol(this._id);
-};
+Node.prototype.renderChunks = function*(context){
+    /*
+    Render the node yielding the output in chunks, as soon as they are
+    rendered. The parts of the nodes defining renderParts() are streamed,
+    the whole output of render() is yielded for the other nodes.
+    */
+    var self = this;
 
-Node.prototype.toString = function(){
-    return "<"+ this.constructor.name + " #" + this._id + ">";
-};
+    if (this.renderParts !== null){
+        yield* streamParts(function(){
+            return self.renderParts(context);
+        }, context);
+    } else if (asyncRenderState === null){
+        yield renderCounted(context, function(){
+            return self.render(context);
+        });
+    } else {
+        // The discarded renderings of the node aren't counted
+        var limits = context.renderContext.limits;
+        var size = limits === null ? 0 : limits.outputSize;
 
-// Set this to true for nodes that must be first in the template (although they can be preceded by text nodes.
-Node.prototype.must_be_first = false;
-Node.prototype.child_nodelists = ['nodelist'];
-Node.prototype.token = null;
+        var output = yield* awaitPending(context, function(){
+            return self.render(context);
+        });
 
+        if (limits !== null) limits.outputSize = size;
 
-Node.prototype.render = function(context){
-    // Return the node rendered as a string.
+        yield renderCounted(context, function(){
+            return output;
+        });
+    }
 }
 
-Node.prototype.renderAnnotated = function(context){
-    /*
-    Render the node. If debug is true and an exception occurs during
-    rendering, the exception is annotated with contextual line information
-    where it occurred in the template. For internal usage this method is
-    preferred over using the render method directly.
-    */
+Node.prototype.renderChunksAnnotated = function*(context){
+    // Like renderAnnotated(), for renderChunks()
     try{
-        return this.render(context);
+        checkRenderLimits(context, this);
+        yield* this.renderChunks(context);
     }catch(e){
-        if (context.template.engine.debug && !e.template_debug) {
-            e.template_debug = context.renderContext.template.getExceptionInfo(e, this.token);
-        }
+        this.annotateException(e, context);
         throw e;
     }
-
 }
 
 Node.prototype.getNodesByType = function(nodetype){
@@ -3141,6 +5881,12 @@ var NodeList = function(nodes) {
 // Set to true the first time a non-TextNode is inserted by extendNodelist().
 NodeList.prototype.contains_nontext = false;
 
+// The render function compiled by NodeListCompiler, or false if the
+// nodelist can't be compiled. It's compiled the first time the nodelist is
+// rendered by an engine with the option compile_templates.
+NodeList.prototype.compiled = null;
+NodeList.prototype.transient_attributes = ['compiled'];
+
 NodeList.prototype.forEach = function(f) {
     this.nodes.forEach(f);
 };
@@ -3153,18 +5899,35 @@ NodeList.prototype.length = function() {
     return this.nodes.length;
 }
 
-NodeList.prototype.render = function(context) {
-    var bits = [];
-
-    this.nodes.forEach(function(node){
-        var bit;
+NodeList.prototype.renderChunks = function*(context) {
+    for (var i = 0; i < this.nodes.length; i++){
+        var node = this.nodes[i];
 
         if (node instanceof Node){
-            bit = node.renderAnnotated(context);
+            yield* node.renderChunksAnnotated(context);
         } else {
-            bit = node;
+            yield renderCounted(context, function(){
+                return node;
+            });
         }
-        bits.push(bit + '');
+    }
+}
+
+NodeList.prototype.render = function(context) {
+    var engine = context.getEngine();
+
+    if (engine && engine.compileTemplates){
+        if (this.compiled === null) this.compiled = compileNodeList(this);
+
+        if (this.compiled !== false) return this.compiled(context);
+    }
+
+    var bits = [];
+
+    this.nodes.forEach(function(node){
+        bits.push(renderCounted(context, function(){
+            return node instanceof Node ? node.renderAnnotated(context) : node;
+        }));
     });
 
     return markSafe(bits.join(''));
@@ -3201,6 +5964,10 @@ TextNode.prototype.render = function(context){
     return this.s;
 }
 
+TextNode.prototype.compile = function(compiler, output){
+    return output + ' += ' + compiler.literal(this.s) + ';\n';
+}
+
 
 var render_value_in_context = function(value, context){
     /*
@@ -3235,6 +6002,241 @@ VariableNode.prototype.render = function(context){
     return render_value_in_context(output, context);
 }
 
+VariableNode.prototype.compile = function(compiler, output){
+    var value = compiler.variable('value');
+
+    return compiler.compileFilterExpression(this.filter_expression, value) +
+        output + ' += render_value_in_context(' + value + ', context);\n';
+}
+
+
+/**
+ * Compiler of a NodeList to a single javascript render function, used
+ * instead of walking the nodes on every rendering. Text nodes are inlined,
+ * the lookups of the variables are unrolled and the filters are called
+ * directly. The output is the same as the output of NodeList.render().
+ *
+ * A node class is compiled by its method compile(compiler, output), which
+ * returns the code appending the output of the node to the variable named
+ * output. The nodes of the classes that don't define it, like the nodes of
+ * custom tags, are rendered by the interpreter.
+ */
+var NodeListCompiler = function(){
+    this.constants = [];
+    this.constantNames = new Map();
+    this.variables = [];
+}
+
+NodeListCompiler.prototype.compile = function(nodelist){
+    // Return the render function of the nodelist
+    var self = this;
+    var output = this.variable('output');
+    var body = this.compileNodeList(nodelist, output, null);
+
+    var source = Object.keys(NODELIST_COMPILER_RUNTIME).map(function(name){
+        return 'var ' + name + ' = runtime.' + name + ';\n';
+    }).join('') + this.constants.map(function(value, i){
+        return 'var c' + i + ' = constants[' + i + '];\n';
+    }).join('') +
+        'return function(context){\n' +
+        'var renderContext = context.renderContext;\n' +
+        'var limits = renderContext.limits;\n' +
+        'var current = null;\n' +
+        'var ' + this.variables.join(', ') + ';\n' +
+        output + " = '';\n" +
+        'try {\n' + body + '} catch (e){\n' +
+        'if (current !== null) current.annotateException(e, context);\n' +
+        'throw e;\n' +
+        '}\n' +
+        'return markSafe(' + output + ');\n' +
+        '};\n';
+
+    return new Function('constants', 'runtime', source)(this.constants, NODELIST_COMPILER_RUNTIME);
+}
+
+NodeListCompiler.prototype.constant = function(value){
+    // Return the name of the variable of the render function holding value
+    if (!this.constantNames.has(value)){
+        this.constantNames.set(value, 'c' + this.constants.length);
+        this.constants.push(value);
+    }
+
+    return this.constantNames.get(value);
+}
+
+NodeListCompiler.prototype.variable = function(prefix){
+    // Return the name of a new local variable of the render function
+    var name = prefix + '_' + this.variables.length;
+    this.variables.push(name);
+
+    return name;
+}
+
+NodeListCompiler.prototype.literal = function(s){
+    // Return the javascript literal of the string s
+    return JSON.stringify(s).replace(/\u2028/g, '\\u2028').replace(/\u2029/g, '\\u2029');
+}
+
+NodeListCompiler.prototype.compileNodeList = function(nodelist, output, owner){
+    /*
+    Return the code appending the output of the nodelist to the variable
+    output, like NodeList.render(). owner is the node rendering the
+    nodelist, or null.
+    */
+    var self = this;
+    var ownerName = owner === null ? 'null' : this.constant(owner);
+    var size = this.variable('size');
+    var code = '';
+
+    nodelist.nodes.forEach(function(node){
+        // Like renderCounted(), size is the output size before the node
+        code += 'if (limits !== null) ' + size + ' = limits.outputSize - ' + output + '.length;\n';
+
+        if (node instanceof Node){
+            code += 'current = ' + self.constant(node) + ';\n';
+
+            if (hasOwnProperty(Object.getPrototypeOf(node), 'compile')){
+                code += 'if (limits !== null) limits.check(renderContext.template, current);\n';
+                code += node.compile(self, output);
+            } else {
+                code += output + ' += current.renderAnnotated(context);\n';
+            }
+        } else {
+            code += output + ' += ' + self.literal(node + '') + ';\n';
+        }
+
+        code += 'if (limits !== null){\n' +
+            'current = ' + ownerName + ';\n' +
+            'limits.setOutputSize(' + size + ' + ' + output + '.length);\n' +
+            '}\n';
+    });
+
+    return code;
+}
+
+NodeListCompiler.prototype.compileVariable = function(variable, target){
+    // Return the code assigning the value of the Variable to target
+    if (variable.translate)
+        return target + ' = ' + this.constant(variable) + '.resolve(context);\n';
+
+    if (variable.lookups === null)
+        return target + ' = ' + this.constant(variable.literal) + ';\n';
+
+    var lookups = variable.lookups;
+    var code = target + ' = context.get(' + this.literal(lookups[0]) + ', VARIABLE_DOES_NOT_EXISTS);\n' +
+        'if (' + target + ' !== VARIABLE_DOES_NOT_EXISTS){\n' +
+        target + ' = resolveAwaitable(' + target + ');\n' +
+        'if (' + target + ' === PENDING_VALUE) ' + target + ' = undefined;\n';
+
+    if (lookups.length > 1){
+        var attribute = this.variable('attribute');
+        var closing = '';
+
+        code += 'else {\n';
+
+        for (var i = 1; i < lookups.length; i++){
+            code += attribute + ' = getVariableAttribute(' + target + ', ' + this.literal(lookups[i]) + ');\n' +
+                'if (' + attribute + ' === PENDING_VALUE) ' + target + ' = undefined;\n' +
+                'else if (' + attribute + ' !== NO_ATTRIBUTE){\n' +
+                target + ' = ' + attribute + ';\n';
+            closing += '}\n';
+        }
+
+        code += closing + '}\n';
+    }
+
+    return code + '}\n';
+}
+
+NodeListCompiler.prototype.compileFilterExpression = function(filterExpression, target){
+    // Return the code assigning the value of the FilterExpression to target
+    var self = this;
+    var label = this.variable('filters');
+    var code = label + ': {\n';
+
+    if (filterExpression.variableObj instanceof Variable){
+        code += this.compileVariable(filterExpression.variableObj, target) +
+            'if (' + target + ' === VARIABLE_DOES_NOT_EXISTS){\n' +
+            target + ' = ' + this.constant(filterExpression) + '.getInvalidValue(context);\n' +
+            'if (' + target + ') break ' + label + ';\n' +
+            '}\n';
+    } else {
+        code += target + ' = ' + this.constant(filterExpression.variableObj) + ';\n';
+    }
+
+    filterExpression.filters.forEach(function(filter){
+        code += self.compileFilter(filter[0], filter[1], target);
+    });
+
+    return code + '}\n';
+}
+
+NodeListCompiler.prototype.compileFilter = function(func, argDef, target){
+    // Return the code applying the filter function to target
+    var code = '';
+    var arg = 'null';
+
+    if (argDef){
+        if (argDef[0]){
+            arg = this.variable('arg');
+            code += this.compileVariable(argDef[1], arg);
+        } else {
+            arg = 'markSafe(' + this.constant(argDef[1]) + ')';
+        }
+    }
+
+    var filter = this.constant(func);
+    var options = func._filter_options || {};
+
+    if (options.is_async)
+        return code + target + ' = applyFilter(' + filter + ', ' + target + ', ' + arg + ', context);\n';
+
+    var args = [target, arg];
+    if (options.needs_autoescape) args.push('context.autoescape');
+    if (options.needs_engine) args.push('context.getEngine()');
+
+    var result = this.variable('result');
+
+    code += result + ' = resolveAwaitable(' + filter + '(' + args.join(', ') + '));\n' +
+        'if (' + result + ' === PENDING_VALUE) ' + result + ' = undefined;\n';
+
+    if (options.is_safe){
+        code += target + ' = ' + target + ' instanceof SafeString ? markSafe(' + result + ') : ' + result + ';\n';
+    } else {
+        code += target + ' = ' + result + ';\n';
+    }
+
+    return code;
+}
+
+// The functions and values used by the compiled render functions
+var NODELIST_COMPILER_RUNTIME = {
+    markSafe: markSafe,
+    render_value_in_context: render_value_in_context,
+    resolveAwaitable: resolveAwaitable,
+    getVariableAttribute: getVariableAttribute,
+    applyFilter: applyFilter,
+    SafeString: SafeString,
+    VARIABLE_DOES_NOT_EXISTS: VARIABLE_DOES_NOT_EXISTS,
+    PENDING_VALUE: PENDING_VALUE,
+    NO_ATTRIBUTE: NO_ATTRIBUTE
+};
+
+function compileNodeList(nodelist){
+    /*
+    Return the render function of the nodelist compiled by NodeListCompiler,
+    or false if it can't be compiled because the content security policy of
+    the page forbids creating functions from strings (EvalError). The other
+    errors are errors of the compiler and are thrown.
+    */
+    try {
+        return new NodeListCompiler().compile(nodelist);
+    } catch (e){
+        if (!(e instanceof EvalError)) throw e;
+        return false;
+    }
+}
+
 
 var tag_re_source = '('  + 
     [
@@ -3278,48 +6280,293 @@ function TemplateError(message) {
     Object.defineProperty(error, 'name', {
         value: error_name
     });
-    
-    Object.setPrototypeOf(error, Object.getPrototypeOf(this))
-    
-    return error;
+    
+    Object.setPrototypeOf(error, Object.getPrototypeOf(this))
+    
+    return error;
+}
+
+inherits(TemplateError, Error);
+
+
+// TemplateError.prototype.toString = function(){ return this.name + ": " + this.message; }
+
+
+var InvalidTemplateLibraryError = function( libraryName ){
+    InvalidTemplateLibraryError.baseConstructor.call(this, 'Invalid template library: ' + libraryName);
+}
+inherits(InvalidTemplateLibraryError, TemplateError);
+
+
+var TemplateDoesNotExistError = function( template_name, tried ){
+    /*
+    template_name is the name of the missing template or the list of
+    names tried when selecting a template.
+
+    tried is a list of {origin, status} objects describing the sources
+    consulted by the loaders. templateChain is the list of names of the
+    templates whose include and extends tags led to the missing template,
+    from the outermost one, and suggestions are names of existing templates
+    similar to the missing one.
+    */
+    var templateNames = isArray(template_name) ? template_name : [template_name];
+
+    var message = templateNames.length === 0 ? "No template names provided" : "Template '" + templateNames.join(', ') + "' does not exist";
+
+    var error = TemplateDoesNotExistError.baseConstructor.call(this, message);
+    error.templateName = template_name;
+    error.templateNames = templateNames;
+    error.tried = tried || [];
+    error.templateChain = [];
+    error._templateChainOrigins = [];
+    error.suggestions = [];
+
+    return error;
+}
+
+inherits(TemplateDoesNotExistError, TemplateError);
+
+/**
+ * Exception that's thrown when invalid markup is encoutered.
+ * The exception used for syntax errors during parsing or rendering.
+ */
+
+var TemplateSyntaxError = function( message ){
+    return TemplateSyntaxError.baseConstructor.call(this, message);
+}
+
+inherits(TemplateSyntaxError, TemplateError);
+
+
+var TemplateSerializationError = function( message ){
+    return TemplateSerializationError.baseConstructor.call(this, message);
+}
+
+inherits(TemplateSerializationError, TemplateError);
+
+
+var ContentNotRenderedError = function( message ){
+    return ContentNotRenderedError.baseConstructor.call(this, message);
+}
+
+inherits(ContentNotRenderedError, TemplateError);
+
+
+var TemplateRenderLimitError = function( limit, description, template, node ){
+    /*
+    The exception thrown when a render limit of the engine is exceeded.
+    limit is the name of the setting, templateName the name of the
+    template and node the node being rendered when the limit was exceeded.
+    */
+    var message = "Render limit " + limit + " exceeded: " + description;
+
+    if (template && template.name) message += ", in template '" + template.name + "'";
+    if (node) message += ", at " + describeNode(node);
+
+    var error = TemplateRenderLimitError.baseConstructor.call(this, message);
+    error.limit = limit;
+    error.templateName = template ? template.name : null;
+    error.node = node || null;
+
+    return error;
+}
+
+inherits(TemplateRenderLimitError, TemplateError);
+
+function describeNode(node){
+    // Return the tag of the node and its line, for error messages
+    var token = node.token;
+
+    if (!token) return node.toString();
+
+    var tag;
+
+    if (token.token_type === BLOCK_TOKEN){
+        tag = BLOCK_TAG_START + ' ' + token.contents + ' ' + BLOCK_TAG_END;
+    } else if (token.token_type === VAR_TOKEN){
+        tag = VARIABLE_TAG_START + ' ' + token.contents + ' ' + VARIABLE_TAG_END;
+    } else {
+        tag = node.toString();
+    }
+
+    return tag + " (line " + token.lineno + ")";
+}
+
+
+/**
+ * A list of receivers notified of an event, like the signals of Django.
+ *
+ * Receivers are called with the sender and a dictionary of arguments.
+ */
+var Signal = function(){
+    this.receivers = [];
+}
+
+Signal.prototype.connect = function(receiver){
+    if (this.receivers.indexOf(receiver) === -1) this.receivers.push(receiver);
+}
+
+Signal.prototype.disconnect = function(receiver){
+    // Return whether the receiver was connected
+    var index = this.receivers.indexOf(receiver);
+
+    if (index === -1) return false;
+
+    this.receivers.splice(index, 1);
+    return true;
+}
+
+Signal.prototype.hasListeners = function(){
+    return this.receivers.length !== 0;
+}
+
+Signal.prototype.send = function(sender, kwargs){
+    /*
+    Call every receiver with the sender and kwargs. Return a list of
+    [receiver, response] pairs.
+    */
+    return this.receivers.slice().map(function(receiver){
+        return [receiver, receiver(sender, kwargs || {})];
+    });
+}
+
+// Sent every time a template is rendered, included or extended
+var templateRendered = new Signal();
+
+function sendTemplateRendered(template, context){
+    /*
+    Send the signal templateRendered with the template and a snapshot of
+    the context. The snapshot is only made if there are receivers.
+    */
+    if (!templateRendered.hasListeners()) return;
+
+    templateRendered.send(template, {
+        template: template,
+        templateName: template.name,
+        context: context.flatten()
+    });
+}
+
+
+/**
+ * Records the templates rendered while it's started, to check in tests
+ * which templates were used, like assertTemplateUsed() in Django.
+ */
+var RenderedTemplatesRecorder = function(){
+    this.templates = [];
+    this.contexts = [];
+
+    this._receiver = this.record.bind(this);
+}
+
+RenderedTemplatesRecorder.prototype.start = function(){
+    templateRendered.connect(this._receiver);
+    return this;
+}
+
+RenderedTemplatesRecorder.prototype.stop = function(){
+    templateRendered.disconnect(this._receiver);
+    return this;
+}
+
+RenderedTemplatesRecorder.prototype.record = function(sender, kwargs){
+    this.templates.push(kwargs.template);
+    this.contexts.push(kwargs.context);
+}
+
+RenderedTemplatesRecorder.prototype.getTemplateNames = function(){
+    return this.templates.map(function(template){
+        return template.name;
+    });
+}
+
+RenderedTemplatesRecorder.prototype.getContexts = function(templateName){
+    // Return the context snapshots of the renderings of the template
+    var self = this;
+
+    return this.contexts.filter(function(context, i){
+        return self.templates[i].name === templateName;
+    });
 }
 
-inherits(TemplateError, Error);
+RenderedTemplatesRecorder.prototype.assertTemplateUsed = function(templateName, options){
+    /*
+    Throw an error if the template wasn't rendered. The options are:
+    count, the exact number of times that the template was rendered, and
+    context, a dictionary of variables that must have the same values in
+    the context of at least one rendering.
+    */
+    options = options || {};
 
+    var templateNames = this.getTemplateNames();
+    var contexts = this.getContexts(templateName);
 
-// TemplateError.prototype.toString = function(){ return this.name + ": " + this.message; }
+    if (contexts.length === 0){
+        throw new Error("Template '" + templateName + "' was not a template used to render the response. Actual template(s) used: " + (templateNames.join(', ') || 'None'));
+    }
 
+    if (options.count !== undefined && options.count !== contexts.length){
+        throw new Error("Template '" + templateName + "' was expected to be rendered " + options.count + " time(s) but was actually rendered " + contexts.length + " time(s).");
+    }
 
-var InvalidTemplateLibraryError = function( libraryName ){
-    InvalidTemplateLibraryError.baseConstructor.call(this, 'Invalid template library: ' + libraryName);
-}
-inherits(InvalidTemplateLibraryError, TemplateError);
+    if (options.context !== undefined){
+        var expected = options.context;
+        var found = contexts.some(function(context){
+            return Object.keys(expected).every(function(key){
+                return context[key] === expected[key];
+            });
+        });
 
+        if (!found)
+            throw new Error("Template '" + templateName + "' was not rendered with the context " + JSON.stringify(expected));
+    }
+}
 
-var TemplateDoesNotExistError = function( template_name ){
-    return TemplateDoesNotExistError.baseConstructor.call(this, "Template '" + template_name + "' does not exist");
+RenderedTemplatesRecorder.prototype.assertTemplateNotUsed = function(templateName){
+    // Throw an error if the template was rendered
+    if (this.getContexts(templateName).length !== 0)
+        throw new Error("Template '" + templateName + "' was used unexpectedly in rendering the response");
 }
 
-inherits(TemplateDoesNotExistError, TemplateError);
+function captureRenderedTemplates(fn){
+    /*
+    Call fn() and return a RenderedTemplatesRecorder with the templates
+    rendered during the call. If fn() returns a promise, return a promise of
+    the recorder that is resolved when the promise of fn() is settled.
+    */
+    var recorder = new RenderedTemplatesRecorder().start();
+    var result;
 
-/**
- * Exception that's thrown when invalid markup is encoutered.
- * The exception used for syntax errors during parsing or rendering.
- */
+    try {
+        result = fn(recorder);
+    } catch (e){
+        recorder.stop();
+        throw e;
+    }
 
-var TemplateSyntaxError = function( message ){
-    return TemplateSyntaxError.baseConstructor.call(this, message);
-}
+    if (isThenable(result)){
+        return result.then(function(){
+            recorder.stop();
+            return recorder;
+        }, function(e){
+            recorder.stop();
+            throw e;
+        });
+    }
 
-inherits(TemplateSyntaxError, TemplateError);
+    recorder.stop();
+    return recorder;
+}
 
 
-var Template = function(source, name, engine){
+var Template = function(source, name, engine, origin, precompiled){
     this.name = name || "";
     this.source = source;
     this.engine = engine;
+    this.origin = origin || new Origin("<unknown source>", name, null);
 
-    this.nodelist = this.compileNodelist();
+    // A precompiled nodelist is restored without the lexer and the parser
+    this.nodelist = precompiled ? restoreNodelist(precompiled, this) : this.compileNodelist();
 }
 
 // __iter__
@@ -3331,23 +6578,170 @@ Template.prototype._render = function(context){
     return this.nodelist.render(context)
 }
 
-Template.prototype.render = function(context){
-    // Display stage -- can be called many times
+Template.prototype.render = function(context, options){
+    /*
+    Display stage -- can be called many times
+
+    options.signal is an optional AbortSignal stopping the rendering. The
+    render limits of the engine apply to the whole rendering, including
+    the included and extended templates.
+    */
+    return joinParts(this.renderParts(context, options), context);
+}
+
+Template.prototype.renderChunks = function(context, options){
+    // Like render(), yielding the output of the nodes as they are rendered
     var self = this;
 
-    return context.renderContext.pushState(this, function(){
+    return streamParts(function(){
+        return self.renderParts(context, options);
+    }, context);
+}
+
+Template.prototype.renderParts = function*(context, options){
+    /*
+    Yield the nodelist of the template with the render limits, the state
+    of the render context and the template of the context set, like the
+    renderParts() generator of a node.
+    */
+    var renderContext = context.renderContext;
+
+    if (renderContext.limits === null){
+        renderContext.limits = this.createRenderLimits(context, options);
+
+        try {
+            yield* this.renderParts(context);
+        } finally {
+            renderContext.limits = null;
+        }
+        return;
+    }
+
+    var state = renderContext.enterState(this);
+
+    try {
         if (context.template === null){
-            return context.bindTemplate(self, function(context){
-                context.templateName = self.name;
-                return self._render(context);
-            });
+            context.enterTemplate(this);
+
+            try {
+                context.templateName = this.name;
+                sendTemplateRendered(this, context);
+                yield this.nodelist;
+            } finally {
+                context.exitTemplate();
+            }
         } else {
-            return self._render(context);
+            sendTemplateRendered(this, context);
+            yield this.nodelist;
+        }
+    } finally {
+        renderContext.exitState(state);
+    }
+}
+
+Template.prototype.renderStream = function*(context, options){
+    /*
+    Render the template yielding the output in chunks (strings), as soon
+    as each node is rendered. Loops, blocks, inherited and included
+    templates are streamed in document order. The output is the same as
+    the output of render(). options are the options of render().
+    */
+    for (var chunk of this.renderChunks(context, options)){
+        chunk = chunk + '';
+
+        if (chunk !== '') yield chunk;
+    }
+}
+
+Template.prototype.renderReadableStream = function(context, options){
+    /*
+    Return a WHATWG ReadableStream of the chunks of renderStream(). The
+    template is rendered as the chunks are read.
+    */
+    if (typeof ReadableStream === 'undefined')
+        throw new TemplateError("ReadableStream is not available in this environment");
+
+    var chunks = this.renderStream(context, options);
+
+    return new ReadableStream({
+        pull: function(controller){
+            var next;
+
+            try {
+                next = chunks.next();
+            } catch (e){
+                controller.error(e);
+                return;
+            }
+
+            if (next.done){
+                controller.close();
+            } else {
+                controller.enqueue(next.value);
+            }
+        },
+        cancel: function(){
+            // Run the pending finally blocks, restoring the context
+            chunks.return();
         }
     });
 }
 
+Template.prototype.renderAsync = function(context, options){
+    /*
+    Return a promise of the template rendered with the context. When a
+    variable, one of its attributes or the result of a filter is a
+    promise, its result is used instead. A node finding pending promises
+    is rendered again once they are settled, so the nodes rendered before
+    and the signals aren't repeated. options are the options of render():
+    the render timeout and the signal also apply to the waits.
+    */
+    var limits = this.createRenderLimits(context, options);
+
+    return renderWithPromises(renderChunksWithLimits(this, context, limits), limits);
+}
+
+Template.prototype.createRenderLimits = function(context, options){
+    return new RenderLimits(context.getEngine() || this.engine, options ? options.signal : null);
+}
+
 Template.prototype.compileNodelist = function(){
+    /*
+    Return the compiled nodelist of the template. If the engine has a
+    template store, the nodelist is restored from the store when the same
+    source was compiled before, otherwise it's parsed and saved to the
+    store. Nodelists that can't be serialized are parsed every time.
+    */
+    var store = this.engine.templateStore;
+
+    if (!store) return this.parseNodelist();
+
+    var key = this.engine.getTemplateStoreKey(this.source, this.name);
+    var data = store.get(key);
+
+    if (data !== null && data !== undefined){
+        try {
+            return restoreNodelist(JSON.parse(data), this);
+        } catch(e){
+            if (!(e instanceof TemplateSerializationError || e instanceof SyntaxError)) throw e;
+
+            // Stale or corrupted entry
+            store.delete(key);
+        }
+    }
+
+    var nodelist = this.parseNodelist();
+
+    try {
+        store.set(key, JSON.stringify(serializeNodelist(nodelist, this)));
+    } catch(e){
+        if (!(e instanceof TemplateSerializationError)) throw e;
+    }
+
+    return nodelist;
+}
+
+Template.prototype.parseNodelist = function(){
     /*
         Parse and compile the template source into a nodelist. If debug
         is true and an exception occurs during parsing, the exception is
@@ -3356,6 +6750,9 @@ Template.prototype.compileNodelist = function(){
     */
     var lexer;
 
+    if (typeof Lexer === 'undefined')
+        throw new TemplateError("The runtime build of the template engine only renders precompiled templates, it can't parse " + (this.name ? "the template '" + this.name + "'" : "a template string"));
+
     if (this.engine.debug){
         lexer = new DebugLexer(this.source)
     } else {
@@ -3365,7 +6762,7 @@ Template.prototype.compileNodelist = function(){
     var tokens = lexer.tokenize();
     // self.engine.templateLibraries, self.engine.template_builtins,
     var parser = new Parser(
-        tokens, this.engine.templateLibraries, this.engine.templateBuiltins
+        tokens, this.engine.templateLibraries, this.engine.templateBuiltins, this.origin
     );
 
     try {
@@ -3441,42 +6838,371 @@ Template.prototype.getExceptionInfo = function(exception, token){
         upto = next;
     });
 
-    var total = source_lines.length;
+    var total = source_lines.length;
+
+    var top = Math.max(1, line - context_lines);
+    var bottom = Math.min(total, line + 1 + context_lines);
+
+    var message = exception.message;
+
+    return {
+        'message': message,
+        'source_lines': source_lines.slice(top, bottom),
+        'before': before,
+        'during': during,
+        'after': after,
+        'top': top,
+        'bottom': bottom,
+        'total': total,
+        'line': line,
+        'name': this.name,
+        'start': start,
+        'end': end,
+    }
+}
+
+
+function linebreak_indices(template_source){
+    var indices = [0];
+
+    var p = template_source.indexOf('\n')
+    while (p >= 0){
+        indices.push(p + 1);
+        p = template_source.indexOf('\n', p + 1)
+    }
+
+    indices.push(template_source.length);
+
+    return indices;
+}
+
+
+/**
+ * Base class for the stores of compiled templates.
+ *
+ * A template store keeps serialized nodelists of compiled templates
+ * (strings) by key, so that an engine with the option template_store
+ * restores templates compiled before instead of lexing and parsing
+ * their source again. get() returns null for unknown keys.
+ */
+var TemplateStore = function(){}
+
+TemplateStore.prototype.get = function(key){
+    throw new Error("Subclasses of TemplateStore must provide a get() method");
+}
+
+TemplateStore.prototype.set = function(key, value){
+    throw new Error("Subclasses of TemplateStore must provide a set() method");
+}
+
+TemplateStore.prototype.delete = function(key){
+    throw new Error("Subclasses of TemplateStore must provide a delete() method");
+}
+
+TemplateStore.prototype.clear = function(){
+    throw new Error("Subclasses of TemplateStore must provide a clear() method");
+}
+
+
+/**
+ * Template store that keeps the compiled templates in memory.
+ */
+var MemoryTemplateStore = function(){
+    this._items = new Map();
+}
+
+inherits(MemoryTemplateStore, TemplateStore);
+
+MemoryTemplateStore.prototype.get = function(key){
+    return this._items.has(key) ? this._items.get(key) : null;
+}
+
+MemoryTemplateStore.prototype.set = function(key, value){
+    this._items.set(key, value);
+}
+
+MemoryTemplateStore.prototype.delete = function(key){
+    this._items.delete(key);
+}
+
+MemoryTemplateStore.prototype.clear = function(){
+    this._items.clear();
+}
+
+MemoryTemplateStore.prototype.size = function(){
+    return this._items.size;
+}
+
+
+/**
+ * Template store that keeps the compiled templates in a key/value storage
+ * with the interface of localStorage: getItem(), setItem(), removeItem()
+ * and, to clear the store, key() and length.
+ *
+ * @param {Storage} storage The storage, e.g. window.localStorage
+ * @param {string} prefix Prefix of the keys written to the storage. Default: 'django-template:'
+ */
+var StorageTemplateStore = function(storage, prefix){
+    this.storage = storage;
+    this.prefix = prefix === undefined ? 'django-template:' : prefix;
+}
+
+inherits(StorageTemplateStore, TemplateStore);
+
+StorageTemplateStore.prototype.get = function(key){
+    var value = this.storage.getItem(this.prefix + key);
+
+    return value === undefined ? null : value;
+}
+
+StorageTemplateStore.prototype.set = function(key, value){
+    try {
+        this.storage.setItem(this.prefix + key, value);
+    } catch(e){
+        // The storage is full or not writable. The template is compiled again next time.
+    }
+}
+
+StorageTemplateStore.prototype.delete = function(key){
+    this.storage.removeItem(this.prefix + key);
+}
+
+StorageTemplateStore.prototype.clear = function(){
+    var keys = [];
+
+    for (var i = 0; i < this.storage.length; i++){
+        var key = this.storage.key(i);
+
+        if (key !== null && key.startsWith(this.prefix)) keys.push(key);
+    }
+
+    var storage = this.storage;
+    keys.forEach(function(key){
+        storage.removeItem(key);
+    });
+}
+
+
+// Changed when the format of serialized nodelists changes
+var TEMPLATE_SERIALIZATION_VERSION = 2;
+
+// Classes whose instances can be part of a serialized nodelist, by name
+var serializableTypes = {};
+
+function registerSerializableType(name, constructor){
+    /*
+    Register a class used in compiled nodelists, e.g. the node class of a
+    custom tag, so that templates using it can be kept in a template store.
+    Instances are restored without calling the constructor: attributes
+    listed in the prototype attribute transient_attributes aren't
+    serialized and are set again by the method restoreTransientAttributes().
+    */
+    serializableTypes[name] = constructor;
+}
+
+function getSerializableTypeName(obj){
+    var proto = Object.getPrototypeOf(obj);
+
+    if (proto === Object.prototype || proto === null) return 'Object';
+
+    var names = Object.keys(serializableTypes);
+    for (var i = 0; i < names.length; i++){
+        if (serializableTypes[names[i]].prototype === proto) return names[i];
+    }
+
+    var typeName = obj.constructor && obj.constructor.name || typeof obj;
+    throw new TemplateSerializationError("Cannot serialize an object of type " + typeName);
+}
+
+function getLibraryFunctionRefs(engine){
+    /*
+    Return a map of the filter functions and the functions of simple and
+    inclusion tags of the engine libraries to references to them. The
+    libraries are referenced by their position in the builtins or their name.
+    */
+    var refs = new Map();
+
+    var addLibrary = function(library, libraryRef){
+        Object.keys(library.filters).forEach(function(name){
+            if (!refs.has(library.filters[name]))
+                refs.set(library.filters[name], {library: libraryRef, filter: name});
+        });
+
+        Object.keys(library.tags).forEach(function(name){
+            var func = library.tags[name]._decorated_function;
+
+            if (func && !refs.has(func))
+                refs.set(func, {library: libraryRef, tag: name});
+        });
+    }
+
+    engine.templateBuiltins.forEach(addLibrary);
+
+    Object.keys(engine.templateLibraries).forEach(function(name){
+        addLibrary(engine.templateLibraries[name], name);
+    });
+
+    return refs;
+}
+
+function getLibraryFunction(engine, ref){
+    var library = isNumber(ref.library) ? engine.templateBuiltins[ref.library] : engine.templateLibraries[ref.library];
+    var func;
+
+    if (library && ref.filter !== undefined){
+        func = library.filters[ref.filter];
+    } else if (library && ref.tag !== undefined){
+        func = library.tags[ref.tag] && library.tags[ref.tag]._decorated_function;
+    }
+
+    if (!func)
+        throw new TemplateSerializationError("Unknown library function: " + JSON.stringify(ref));
+
+    return func;
+}
+
+function serializeNodelist(nodelist, template){
+    /*
+    Return a JSON-compatible representation of the compiled nodelist of
+    the template. Objects are written once in a flat list and referenced by
+    position, so shared objects (e.g. the blocks of an extends node) are
+    shared after being restored too. Functions must be filters or tag
+    functions of the engine libraries.
+
+    Throw TemplateSerializationError if the nodelist contains other objects
+    than the instances of the registered classes, plain objects and arrays.
+    */
+    var objects = [];
+    var ids = new Map();
+    var functionRefs = null;
+
+    var serializeValue = function(value){
+        switch (typeof value){
+            case 'string':
+            case 'boolean':
+                return value;
+            case 'number':
+                return isFinite(value) ? value : {'$number': String(value)};
+            case 'undefined':
+                return {'$undefined': true};
+            case 'function':
+                functionRefs = functionRefs || getLibraryFunctionRefs(template.engine);
+
+                if (!functionRefs.has(value))
+                    throw new TemplateSerializationError("Cannot serialize the function " + (value.name || "<anonymous>"));
+
+                return {'$function': functionRefs.get(value)};
+            case 'object':
+                break;
+            default:
+                throw new TemplateSerializationError("Cannot serialize a value of type " + typeof value);
+        }
+
+        if (value === null) return null;
+        if (value === template.origin) return {'$origin': true};
+        if (ids.has(value)) return {'$ref': ids.get(value)};
+
+        var entry = {};
+        ids.set(value, objects.length);
+        objects.push(entry);
+
+        if (isArray(value)){
+            entry.type = 'Array';
+            entry.items = value.map(function(item){
+                return serializeValue(item);
+            });
+        } else {
+            entry.type = getSerializableTypeName(value);
+            entry.attrs = {};
+
+            var transient = value.transient_attributes || [];
+
+            Object.keys(value).forEach(function(name){
+                if (transient.indexOf(name) !== -1) return;
+
+                entry.attrs[name] = serializeValue(value[name]);
+            });
+        }
+
+        return {'$ref': ids.get(value)};
+    }
+
+    var root = serializeValue(nodelist);
+
+    return {
+        version: TEMPLATE_SERIALIZATION_VERSION,
+        root: root,
+        objects: objects
+    };
+}
+
+function restoreNodelist(data, template){
+    /*
+    Return the nodelist of the template from its representation returned by
+    serializeNodelist(). Throw TemplateSerializationError if it can't be
+    restored, e.g. because it uses a filter not registered anymore.
+    */
+    if (!data || data.version !== TEMPLATE_SERIALIZATION_VERSION || !isArray(data.objects))
+        throw new TemplateSerializationError("Unsupported serialized template");
+
+    var objects = data.objects.map(function(entry){
+        if (entry.type === 'Array') return [];
+        if (entry.type === 'Object') return {};
+
+        if (!hasOwnProperty(serializableTypes, entry.type))
+            throw new TemplateSerializationError("Unknown serialized type: " + entry.type);
+
+        return Object.create(serializableTypes[entry.type].prototype);
+    });
+
+    var restoreValue = function(value){
+        if (value === null || typeof value !== 'object') return value;
+
+        if (hasOwnProperty(value, '$ref')) return objects[value['$ref']];
+        if (hasOwnProperty(value, '$undefined')) return undefined;
+        if (hasOwnProperty(value, '$number')) return Number(value['$number']);
+        if (hasOwnProperty(value, '$origin')) return template.origin;
+        if (hasOwnProperty(value, '$function')) return getLibraryFunction(template.engine, value['$function']);
+
+        throw new TemplateSerializationError("Invalid serialized value: " + JSON.stringify(value));
+    }
+
+    data.objects.forEach(function(entry, i){
+        var obj = objects[i];
 
-    var top = Math.max(1, line - context_lines);
-    var bottom = Math.min(total, line + 1 + context_lines);
+        if (entry.type === 'Array'){
+            entry.items.forEach(function(item){
+                obj.push(restoreValue(item));
+            });
+        } else {
+            Object.keys(entry.attrs).forEach(function(name){
+                obj[name] = restoreValue(entry.attrs[name]);
+            });
+        }
+    });
 
-    var message = exception.message;
+    objects.forEach(function(obj){
+        if (isFunction(obj.restoreTransientAttributes)) obj.restoreTransientAttributes();
+    });
 
-    return {
-        'message': message,
-        'source_lines': source_lines.slice(top, bottom),
-        'before': before,
-        'during': during,
-        'after': after,
-        'top': top,
-        'bottom': bottom,
-        'total': total,
-        'line': line,
-        'name': this.name,
-        'start': start,
-        'end': end,
-    }
+    return restoreValue(data.root);
 }
 
+function hashString(s){
+    // Return a 64 bits hash of the string as an hexadecimal string
+    var h1 = 0xdeadbeef;
+    var h2 = 0x41c6ce57;
 
-function linebreak_indices(template_source){
-    var indices = [0];
-
-    var p = template_source.indexOf('\n')
-    while (p >= 0){
-        indices.push(p + 1);
-        p = template_source.indexOf('\n', p + 1)
+    for (var i = 0; i < s.length; i++){
+        var ch = s.charCodeAt(i);
+        h1 = Math.imul(h1 ^ ch, 2654435761);
+        h2 = Math.imul(h2 ^ ch, 1597334677);
     }
 
-    indices.push(template_source.length);
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
 
-    return indices;
+    return (h2 >>> 0).toString(16).padStart(8, '0') + (h1 >>> 0).toString(16).padStart(8, '0');
 }
 
 
@@ -3509,7 +7235,7 @@ function token_kwargs(bits, parser, support_legacy){
         return {};
 
     var m = kwarg_re.exec(bits[0])
-    kwarg_format = m && m[1];
+    var kwarg_format = m && m[1];
 
     if (!kwarg_format){
         if (!support_legacy)
@@ -3518,7 +7244,7 @@ function token_kwargs(bits, parser, support_legacy){
             return {};
     }
 
-    kwargs = {}
+    var kwargs = {}
     while (bits.length !== 0){
         if (kwarg_format){
             m = kwarg_re.exec(bits[0])
@@ -3636,12 +7362,24 @@ function PrefixOperator(bp, cmp) {
   this.second = null;
 }
 
+InfixOperator.prototype.transient_attributes = ['cmp'];
+
+InfixOperator.prototype.restoreTransientAttributes = function(){
+    this.cmp = OPERATORS[this.id]().cmp;
+}
+
 PrefixOperator.prototype.nud = function(parser) {
   this.first = parser.expression(this.lbp);
   this.second = null;
   return this;
 }
 
+PrefixOperator.prototype.transient_attributes = ['cmp'];
+
+PrefixOperator.prototype.restoreTransientAttributes = function(){
+    this.cmp = OPERATORS[this.id]().cmp;
+}
+
 PrefixOperator.prototype.evaluate = function(context) {
   try {
     return this.cmp(context, this.first)
@@ -3843,7 +7581,10 @@ IfParser.prototype.translateToken = function(token) {
         return this.createVar(token)
     }
 
-    return op()
+    var operator = op();
+    operator.id = op.id;
+
+    return operator
 }
 
 IfParser.prototype.nextToken = function() {
@@ -3897,6 +7638,8 @@ var Library = function() {
     */
     this.filters = {}
     this.tags = {}
+    // Number of tags and filters registered, for the cache of template strings
+    this.version = 0;
 }
 
 Library.prototype.tag = function(name, compile_function){
@@ -3918,6 +7661,7 @@ Library.prototype.tag = function(name, compile_function){
         }
     } else if (name !== null &&  compile_function !== null){
         this.tags[name] = compile_function;
+        this.version++;
         return compile_function;
     } else {
         throw new TemplateError(
@@ -3930,6 +7674,7 @@ Library.prototype.tagFunction = function(func){
     var name = (func._decorated_function || func).name;
 
     this.tags[name] = func;
+    this.version++;
     return func;
 }
 
@@ -3989,6 +7734,7 @@ Library.prototype.filter = function(){
         filter_func._filter_name = name;
 
         this.filters[name] = filter_func;
+        this.version++;
         return filter_func
     } else {
         throw new TemplateError(
@@ -4008,6 +7754,25 @@ Library.prototype.filterFunction = function(func, flags){
     return this.filter(name, func, flags);
 }
 
+Library.prototype.asyncFilter = function(name, filter_func, flags){
+    /*
+    Register a filter returning a promise. Templates using it must be
+    rendered asynchronously. Example:
+
+    register.asyncFilter('translate', function(value){
+        return loadBundle().then(function(bundle){ return bundle[value] });
+    })
+
+    */
+    if (isFunction(name)){
+        flags = filter_func;
+        filter_func = name;
+        name = (filter_func._decorated_function || filter_func).name;
+    }
+
+    return this.filter(name, filter_func, objectMerge(objectMerge({}, flags || {}), {is_async: true}));
+}
+
 Library.prototype.simpleTag = function(){
     /*
     Register a callable as a compiled template tag. Example:
@@ -4017,24 +7782,37 @@ Library.prototype.simpleTag = function(){
     });
 
     */
+    this._simpleTag(arguments, false);
+}
+
+Library.prototype.asyncSimpleTag = function(){
+    /*
+    Register a callable returning a promise as a compiled template tag.
+    Templates using it must be rendered asynchronously. The arguments are
+    the same as simpleTag().
+    */
+    this._simpleTag(arguments, true);
+}
+
+Library.prototype._simpleTag = function(args, is_async){
     var func, takes_context, name;
 
-    var arguments_length = arguments.length;
+    var arguments_length = args.length;
 
     if (arguments_length === 3){
-        name = arguments[0];
-        func = arguments[1];
-        takes_context = arguments[2];
+        name = args[0];
+        func = args[1];
+        takes_context = args[2];
     } else if (arguments_length === 2){
-        if (isFunction(arguments[0])){
-            func = arguments[0];
-            takes_context = arguments[1];
+        if (isFunction(args[0])){
+            func = args[0];
+            takes_context = args[1];
         } else {
-            name = arguments[0];
-            func = arguments[1];
+            name = args[0];
+            func = args[1];
         }
     } else if (arguments_length === 1){
-        func = arguments[0];
+        func = args[0];
     } else {
         throw new TemplateError("Invalid number of arguments to simpleTag.");
     }
@@ -4053,14 +7831,14 @@ Library.prototype.simpleTag = function(){
 
         if (bits.length >= 2 && bits[bits.length-2] == 'as'){
             target_var = bits[bits.length-1];
-            bits = bits.slice(0, bits.length-3);
+            bits = bits.slice(0, bits.length-2);
         }
 
         var parsed_bits = parse_bits(
             parser, bits, tag_name
         );
 
-        return new SimpleNode(func, takes_context, parsed_bits.args, parsed_bits.kwargs, target_var);
+        return new SimpleNode(func, takes_context, parsed_bits.args, parsed_bits.kwargs, target_var, is_async);
     }
     compile_func._decorated_function = func;
 
@@ -4076,6 +7854,8 @@ Library.prototype.inclusionTag = function(template_name, func, takes_context, na
         return {'choices': choices}
     })
 
+    The function can also return a promise of the dictionary. Then the
+    templates using the tag must be rendered asynchronously.
     */
 
     if (!isFunction(func)){
@@ -4180,8 +7960,24 @@ TagHelperNode.prototype.getResolvedArguments = function(context){
     return resolved_arguments;
 }
 
-var SimpleNode = function(func, takes_context, args, kwargs, target_var){
+TagHelperNode.prototype.callAsync = function(context, resolved_arguments){
+    /*
+    Call the function of the tag during an asynchronous rendering. Return
+    its result, or PENDING_VALUE if it's a promise not settled yet.
+    */
+    var func = this.func;
+    var args = this.takes_context ? resolved_arguments.slice(1) : resolved_arguments;
+
+    var result = callAsyncFunction(this, args, function(){
+        return func.apply(null, resolved_arguments);
+    }, "The tag '" + func.name + "'");
+
+    return resolveAwaitable(result);
+}
+
+var SimpleNode = function(func, takes_context, args, kwargs, target_var, is_async){
     this.target_var = target_var || null;
+    this.is_async = is_async || false;
     SimpleNode.baseConstructor.call(this, func, takes_context, args, kwargs);
 }
 
@@ -4190,8 +7986,15 @@ inherits(SimpleNode, TagHelperNode);
 
 SimpleNode.prototype.render = function(context){
     var resolved_arguments = this.getResolvedArguments(context);
+    var output;
+
+    if (this.is_async){
+        output = this.callAsync(context, resolved_arguments);
+        if (output === PENDING_VALUE) output = '';
+    } else {
+        output = this.func.apply(null, resolved_arguments);
+    }
 
-    var output = this.func.apply(null, resolved_arguments);
     if (this.target_var !== null){
         context.set(this.target_var, output);
         return ''
@@ -4212,17 +8015,32 @@ var InclusionNode = function(func, takes_context, args, kwargs, template_name){
 inherits(InclusionNode, TagHelperNode);
 
 
-InclusionNode.prototype.render = function(context){
+InclusionNode.prototype.renderParts = function*(context){
     /*
     Render the specified template and context. Cache the template object
     in renderContext to avoid reparsing and loading when used in a for
     loop.
     */
     var resolved_arguments = this.getResolvedArguments(context);
+    var _dict;
+
+    if (asyncRenderState !== null){
+        // The function may return a promise
+        _dict = this.callAsync(context, resolved_arguments);
+        if (isRenderPending()) return;
+    } else {
+        _dict = this.func.apply(null, resolved_arguments);
 
-    var _dict = this.func.apply(null, resolved_arguments);
+        if (isThenable(_dict))
+            throw new TemplateError("The tag '" + this.func.name + "' is asynchronous: render the template with renderToStringAsync() or renderAsync()");
+    }
+
+    var engine = context.getEngine();
 
-    var t = context.template.engine.getTemplate(this.template_name);
+    var t = findTemplateCandidates(context, this.template_name, function(name){
+        return engine.getTemplate(name);
+    });
+    if (t === null) return;
 
     var new_context = context.newContext(_dict);
     // Copy across the CSRF token, if present, because inclusion tags are
@@ -4232,7 +8050,8 @@ InclusionNode.prototype.render = function(context){
     if (csrf_token !== null){
         new_context.set('csrf_token', csrf_token);
     }
-    return t.render(new_context);
+
+    yield bindContext(t, new_context);
 }
 
 
@@ -4258,8 +8077,8 @@ var parse_bits = function(parser, bits, name){
             // The kwarg was successfully extracted
             if (handling_positional_args) handling_positional_args = false;
 
-            param = kwarg_keys[0];
-            value = kwarg[param];
+            var param = kwarg_keys[0];
+            var value = kwarg[param];
 
             if (handled_param_names[param]){
                 throw new TemplateSyntaxError("'" + name + "' received repeated param names");
@@ -4285,6 +8104,7 @@ var parse_bits = function(parser, bits, name){
 
 
 var BLOCK_CONTEXT_KEY = 'block_context'
+var EXTENDS_HISTORY_CONTEXT_KEY = 'extends_context'
 
 
 var BlockContext = function(){
@@ -4347,37 +8167,35 @@ BlockNode.prototype.toString = function(){
     return "<Block Node: " + this.name + ". Contents: " + this.nodelist.toString() + ">";
 }
 
-BlockNode.prototype.render = function(context){
-    var self = this;
+BlockNode.prototype.renderParts = function*(context){
     var block_context = context.renderContext.get(BLOCK_CONTEXT_KEY);
 
+    context.push();
 
-    return context.push(null, function(){
-        var result;
-
+    try {
         if (block_context === null){
-            context.set('block', self);
-            result = self.nodelist.render(context);
+            context.set('block', this);
+            yield this.nodelist;
         } else {
-            var push = block_context.pop(self.name);
+            var push = block_context.pop(this.name);
             var block = push;
 
             if (block === null)
-                block = self;
+                block = this;
 
             // Create new block so we can store context without thread-safety issues.
-            block = new self.constructor(block.name, block.nodelist);
+            block = new this.constructor(block.name, block.nodelist);
             block.context = context;
 
             context.set('block', block);
 
-            result = block.nodelist.render(context);
+            yield block.nodelist;
             if (push !== null)
-                block_context.push(self.name, push);
+                block_context.push(this.name, push);
         }
-
-        return result;
-    });
+    } finally {
+        context.pop();
+    }
 }
 
 BlockNode.prototype.super = function(){
@@ -4395,9 +8213,10 @@ BlockNode.prototype.super = function(){
     return '';
 }
 
-var ExtendsNode = function(nodelist, parent_name){
+var ExtendsNode = function(nodelist, parent_name, origin){
     this.nodelist = nodelist;
     this.parent_name = parent_name;
+    this.origin = origin || null;
 
     var blocks = {};
     nodelist.getNodesByType(BlockNode).forEach(function(n){
@@ -4437,12 +8256,71 @@ ExtendsNode.prototype.getParent = function(context){
         return parent.template
     }*/
 
-    return context.template.engine.getTemplate(parent);
+    return this.findTemplate(parent, context);
+}
+
+ExtendsNode.prototype.findTemplate = function(template_name, context){
+    /*
+    This is a wrapper around engine.findTemplate(). A history is kept in
+    the renderContext attribute between successive extends calls and
+    passed as the skip argument. This enables extends to work recursively
+    without extending the same template twice.
+    */
+    var renderContext = context.renderContext;
+    var history = renderContext.setDefault(EXTENDS_HISTORY_CONTEXT_KEY, this.origin ? [this.origin] : []);
+
+    var engine = context.getEngine();
+
+    var template = findTemplateCandidates(context, template_name, function(name){
+        return engine.findTemplate(name, history);
+    });
+    if (template !== null) history.push(template.origin);
+
+    return template;
+}
+
+function addTemplateChain(e, node){
+    /*
+    Record in the templateChain of a TemplateDoesNotExistError the template
+    of the include or extends node, so the error lists every template that
+    included or extended the missing template.
+    */
+    if (!(e instanceof TemplateDoesNotExistError) || !node.origin) return;
+
+    // The blocks of a child template are rendered by its parent. An error
+    // in a block is already recorded with the child template.
+    if (node instanceof ExtendsNode && e._templateChainOrigins[0] === node.origin) return;
+
+    e.templateChain.unshift(node.origin.templateName || "");
+    e._templateChainOrigins.unshift(node.origin);
 }
 
-ExtendsNode.prototype.render = function(context){
-    var compiled_parent = this.getParent(context)
+ExtendsNode.prototype.renderParts = function*(context){
+    try {
+        var compiled_parent = this.getParent(context);
+        if (isRenderPending()) return;
+
+        this.prepareParent(context, compiled_parent);
+        // Render the nodelist of the parent so the parser context stays the same.
+        var state = context.renderContext.enterState(compiled_parent, false);
+
+        try {
+            sendTemplateRendered(compiled_parent, context);
+            yield compiled_parent.nodelist;
+        } finally {
+            context.renderContext.exitState(state);
+        }
+    } catch (e){
+        addTemplateChain(e, this);
+        throw e;
+    }
+}
 
+ExtendsNode.prototype.prepareParent = function(context, compiled_parent){
+    /*
+    Add the blocks of this template and, if the parent template is the
+    root template, the blocks of the parent to the block context.
+    */
     if (!context.renderContext.has(BLOCK_CONTEXT_KEY)){
         context.renderContext.set(BLOCK_CONTEXT_KEY, new BlockContext());
     }
@@ -4470,11 +8348,6 @@ ExtendsNode.prototype.render = function(context){
             break
         }
     };
-
-    // Call Template._render explicitly so the parser context stays the same.
-    return context.renderContext.pushState(compiled_parent, function(){
-        return compiled_parent._render(context);
-    }, false);
 }
 
 var IncludeNode = function(template, extra_context, isolated_context){
@@ -4487,18 +8360,50 @@ var IncludeNode = function(template, extra_context, isolated_context){
 
 inherits(IncludeNode, Node);
 
-IncludeNode.prototype.render = function(context){
+IncludeNode.prototype.renderParts = function*(context){
     /*
     Render the specified template and context. Cache the template object
     in renderContext to avoid reparsing and loading when used in a for
     loop.
     */
+    try {
+        var template = this.resolveTemplate(context);
+        var values = this.getValues(context);
+
+        if (isRenderPending()) return;
+
+        if (this.isolated_context){
+            yield bindContext(template, context.newContext(values));
+        } else {
+            context.push(values);
+
+            try {
+                yield template;
+            } finally {
+                context.pop();
+            }
+        }
+    } catch (e){
+        addTemplateChain(e, this);
+        throw e;
+    }
+}
+
+IncludeNode.prototype.resolveTemplate = function(context){
     var template = this.template.resolve(context);
     // Does this quack like a Template?
     if (!isFunction(template.render)){
-        template = context.template.engine.getTemplate(template);
+        var engine = context.getEngine();
+
+        template = findTemplateCandidates(context, template, function(name){
+            return engine.getTemplate(name);
+        });
     }
 
+    return template;
+}
+
+IncludeNode.prototype.getValues = function(context){
     var values = {}
 
     if (!this.extra_context){
@@ -4507,12 +8412,90 @@ IncludeNode.prototype.render = function(context){
         });
     }
 
-    if (this.isolated_context)
-        return template.render(context.newContext(values));
+    return values;
+}
 
-    return context.push(values, function(){
-        return template.render(context);
-    });
+function findTemplateCandidates(context, template_name, find){
+    /*
+    Return find(name), the template of an include, extends or inclusion
+    tag, for template_name or for the first name of a list of names that
+    exists. During an asynchronous rendering, a name missing synchronously
+    is loaded by getTemplateAsync() before trying the next name, so a
+    template fetched by an asynchronous loader is preferred to the next
+    names. null is returned while it's loading: the node is rendered again
+    once it's loaded.
+    */
+    var names = isArray(template_name) ? template_name : [template_name];
+    var engine = context.getEngine();
+    var errors = [];
+
+    if (names.length === 0) throw new TemplateDoesNotExistError([]);
+
+    var tryFind = function(name){
+        try {
+            return find(name);
+        } catch (e){
+            if (!(e instanceof TemplateDoesNotExistError)) throw e;
+            errors.push(e);
+            return null;
+        }
+    }
+
+    for (var i = 0; i < names.length; i++){
+        var name = String(names[i]);
+        var template = tryFind(name);
+
+        if (template !== null) return template;
+        if (asyncRenderState === null) continue;
+
+        // The result of the previous load of the rendering is reused
+        var loading = asyncRenderState.call(engine, [name], function(){
+            return engine.getTemplateAsync(name);
+        });
+        var loaded;
+
+        try {
+            loaded = resolveAwaitable(loading);
+        } catch (e){
+            if (!(e instanceof TemplateDoesNotExistError)) throw e;
+            continue;
+        }
+
+        if (loaded === PENDING_VALUE) return null;
+
+        // The template found may not be the template loaded, e.g. if it's skipped by extends
+        errors.pop();
+        template = tryFind(name);
+
+        if (template !== null) return template;
+    }
+
+    if (!isArray(template_name)) throw errors[0];
+
+    throw mergeTemplateDoesNotExistErrors(names.map(String), errors);
+}
+
+function bindContext(template, context){
+    // Return a part of renderParts() rendering the template with another context
+    return {
+        render: function(){
+            return template.render(context);
+        },
+        renderChunks: function(){
+            return renderTemplateChunks(template, context);
+        }
+    };
+}
+
+function* renderTemplateChunks(template, context){
+    // Stream a Template, or render an object that only quacks like a Template
+    if (isFunction(template.renderChunks)){
+        yield* template.renderChunks(context);
+    } else {
+        yield renderCounted(context, function(){
+            return template.render(context);
+        });
+    }
 }
 
 defaultTemplateLibrary.tag('block', function(parser, token){
@@ -4548,6 +8531,65 @@ defaultTemplateLibrary.tag('block', function(parser, token){
     return new BlockNode(block_name, nodelist);
 });
 
+function normalizeTemplatePath(path){
+    // Collapse "." and ".." segments of a template path, like posixpath.normpath
+    var segments = [];
+
+    path.split('/').forEach(function(segment){
+        if (segment === '' || segment === '.') return;
+
+        if (segment === '..' && segments.length !== 0 && segments[segments.length - 1] !== '..'){
+            segments.pop();
+        } else {
+            segments.push(segment);
+        }
+    });
+
+    return segments.join('/');
+}
+
+function constructRelativePath(current_template_name, relative_name){
+    /*
+    Convert a relative path (starting with './' or '../') to the full template
+    name based on the current_template_name.
+    */
+    var new_name = relative_name.replace(/^['"]|['"]$/g, '');
+
+    if (!(new_name.startsWith('./') || new_name.startsWith('../'))){
+        // relative_name is a variable or a literal that doesn't contain a
+        // relative path.
+        return relative_name;
+    }
+
+    if (!current_template_name){
+        // Unknown origin (e.g. a template created from a string).
+        throw new TemplateSyntaxError(
+            "The relative path " + relative_name + " cannot be evaluated due to an unknown template origin."
+        );
+    }
+
+    var current_name = current_template_name.replace(/^\/+/, '');
+    var current_dir = current_name.substring(0, current_name.lastIndexOf('/') + 1);
+
+    new_name = normalizeTemplatePath(current_dir + new_name);
+
+    if (new_name === '..' || new_name.startsWith('../')){
+        throw new TemplateSyntaxError(
+            "The relative path '" + relative_name + "' points outside the file hierarchy that template '" + current_template_name + "' is in."
+        );
+    }
+
+    if (current_name === new_name){
+        throw new TemplateSyntaxError(
+            "The relative path '" + relative_name + "' was translated to template name '" + current_template_name + "', the same template in which the tag appears."
+        );
+    }
+
+    var has_quotes = is_string_literal(relative_name);
+
+    return has_quotes ? '"' + new_name + '"' : new_name;
+}
+
 defaultTemplateLibrary.tag('extends', function(parser, token){
     /*
     Signal that this template extends a parent template.
@@ -4562,13 +8604,14 @@ defaultTemplateLibrary.tag('extends', function(parser, token){
     if (bits.length != 2)
         throw new TemplateSyntaxError("'" + bits[0] + "' takes one argument");
 
+    bits[1] = constructRelativePath(parser.origin && parser.origin.templateName, bits[1]);
     var parent_name = parser.compileFilter(bits[1]);
     var nodelist = parser.parse();
 
     if (nodelist.getNodesByType(ExtendsNode).length !== 0){
         throw new TemplateSyntaxError("'"+ bits[0] + "' cannot appear more than once in the same template");
     }
-    return new ExtendsNode(nodelist, parent_name);
+    return new ExtendsNode(nodelist, parent_name, parser.origin);
 });
 
 defaultTemplateLibrary.tag('include', function(parser, token){
@@ -4621,6 +8664,8 @@ defaultTemplateLibrary.tag('include', function(parser, token){
     var isolated_context = options['only'] || false;
     var namemap = options['with'] || {};
 
+    bits[1] = constructRelativePath(parser.origin && parser.origin.templateName, bits[1]);
+
     return new IncludeNode(parser.compileFilter(bits[1]), namemap, isolated_context);
 });
 
@@ -5409,19 +9454,20 @@ defaultTemplateLibrary.filter('get_digit', function(value, arg) {
 /* DATES          */
 /******************/
 
-defaultTemplateLibrary.filter('time', function(value, arg) {
+defaultTemplateLibrary.filter('time', function(value, arg, engine) {
     // Format a time according to the given format.
 
     var value = parseDateValue(value);
     if (value === null) throw new TemplateError("Filter value is not a valid date.");
 
     if (arg === undefined || arg === null){
-        arg = DJANGO_TEMPLATE_SETTINGS.DEFAULT_TIME_FORMAT;
+        arg = engine ? engine.defaultTimeFormat : DJANGO_TEMPLATE_SETTINGS.DEFAULT_TIME_FORMAT;
     }
 
     return time_format(value, arg);
 }, {
-    "is_safe": false
+    "is_safe": false,
+    "needs_engine": true
 })
 
 
@@ -5464,18 +9510,19 @@ defaultTemplateLibrary.filter('timeuntil', function(value, arg) {
 })
 
 
-defaultTemplateLibrary.filter('date', function(value, arg) {
+defaultTemplateLibrary.filter('date', function(value, arg, engine) {
     // Format a date according to the given format.
     var value = parseDateValue(value);
     if (value === null) throw new TemplateError("Filter value is not a valid date.");
  
     if (arg === undefined || arg === null){
-        arg = DJANGO_TEMPLATE_SETTINGS.DEFAULT_DATE_TIME_FORMAT;
+        arg = engine ? engine.defaultDateTimeFormat : DJANGO_TEMPLATE_SETTINGS.DEFAULT_DATE_TIME_FORMAT;
     }
     
     return date_time_format(value, arg);
 }, {
-    "is_safe": false
+    "is_safe": false,
+    "needs_engine": true
 })
 
 
@@ -5728,19 +9775,33 @@ var AutoEscapeControlNode = function(autoescapeSetting, nodelist){
 inherits(AutoEscapeControlNode, Node);
 
 
-AutoEscapeControlNode.prototype.render = function(context){
+AutoEscapeControlNode.prototype.renderParts = function*(context){
     var autoescape = context.autoescape;
 
     context.autoescape = this.autoescapeSetting;
-    var output = this.nodelist.render(context);
-    context.autoescape = autoescape;
-    if (this.autoescapeSetting){
-        return markSafe(output);
-    } else{
-        return output;
+
+    try {
+        yield this.nodelist;
+    } finally {
+        context.autoescape = autoescape;
     }
 }
 
+AutoEscapeControlNode.prototype.compile = function(compiler, output){
+    var autoescape = compiler.variable('autoescape');
+    var nodelistOutput = compiler.variable('output');
+
+    return autoescape + ' = context.autoescape;\n' +
+        'context.autoescape = ' + compiler.constant(this) + '.autoescapeSetting;\n' +
+        nodelistOutput + " = '';\n" +
+        'try {\n' +
+        compiler.compileNodeList(this.nodelist, nodelistOutput, this) +
+        '} finally {\n' +
+        'context.autoescape = ' + autoescape + ';\n' +
+        '}\n' +
+        output + ' += ' + nodelistOutput + ';\n';
+}
+
 
 var CommentNode = function(){
     CommentNode.baseConstructor.call(this);
@@ -5753,6 +9814,10 @@ CommentNode.prototype.render = function(context){
     return ''
 }
 
+CommentNode.prototype.compile = function(compiler, output){
+    return '';
+}
+
 
 var CycleNode = function(cyclevars, variable_name, silent){
     variable_name = variable_name || null;
@@ -5803,7 +9868,7 @@ inherits(DebugNode, Node);
 
 DebugNode.prototype.render = function(context){
     //
-    output = []
+    var output = []
     context.forEach(function(key, value){
         output.push(key + ": " + pformat(value));
     });
@@ -5892,89 +9957,155 @@ ForNode.prototype.toString = function(){
 };
 
 
-ForNode.prototype.render = function(context){
-    var self = this;
+ForNode.prototype.renderParts = function*(context){
     var parentloop = context.get('forloop');
 
-    var nodelist = []
-
-    context.push(null, function(){
-        var values = self.sequence.resolve(context, true);
-        if (values === null){
-            values = []
-        } else {
-            if (!isArray(values)){
-                values = [values];
-            }
-        }
+    context.push();
 
+    try {
+        var values = this.getValues(context);
         var len_values = values.length;
 
-        if (len_values === 0) {
-            return self.nodelist_empty.render(context)
-        }
+        if (isRenderPending()) return;
 
-        if (self.is_reversed){
-            values.reverse();
+        if (len_values === 0) {
+            yield this.nodelist_empty;
+            return;
         }
 
-        var num_loopvars = self.loopvars.length;
-
-        var unpack = num_loopvars > 1;
         // Create a forloop value in the context.  We'll update counters on each iteration just below.
         var loop_dict = {'parentloop': parentloop}
         context.set('forloop', loop_dict);
 
-        values.forEach(function(item, i){
-            // Shortcuts for current loop iteration number.
-            loop_dict['counter0'] = i;
-            loop_dict['counter'] = i + 1;
-            // Reverse counter iteration numbers.
-            loop_dict['revcounter'] = len_values - i;
-            loop_dict['revcounter0'] = len_values - i - 1;
-            // Boolean values designating first and last times through loop.
-            loop_dict['first'] = (i === 0);
-            loop_dict['last'] = (i === len_values - 1);
-
-            var pop_context = false;
-            if (unpack){
-                // If there are multiple loop variables, unpack the item into them.
-
-                if (!isArray(item)){
-                    item = [item];
-                }
+        for (var i = 0; i < len_values; i++){
+            if (!this.hasItem(values, i)) continue;
+
+            if (context.renderContext.limits !== null)
+                context.renderContext.limits.countLoopIteration(context.renderContext.template, this);
 
-                var len_item = item.length;
+            var pop_context = this.setLoopVariables(context, loop_dict, values[i], i, len_values);
 
-                // Check loop variable count before unpacking
-                if (num_loopvars !== len_item) {
-                    throw new TemplateError("Need " + num_loopvars + " values to unpack in for loop; got " + len_item + ". ");
+            try {
+                yield this.nodelist_loop;
+            } finally {
+                if (pop_context){
+                    // Pop the loop variables pushed on to the context to avoid the context ending up in an inconsistent state when other tags (e.g., include and with) push data to context.
+                    context.pop()
                 }
+            }
+        }
+    } finally {
+        context.pop();
+    }
+}
+
+ForNode.prototype.compile = function(compiler, output){
+    // Compile the loop to a for statement, like render()
+    var node = compiler.constant(this);
+    var parentloop = compiler.variable('parentloop');
+    var loopOutput = compiler.variable('output');
+    var values = compiler.variable('values');
+    var len_values = compiler.variable('len_values');
+    var loop_dict = compiler.variable('loop_dict');
+    var i = compiler.variable('i');
+    var pop_context = compiler.variable('pop_context');
+
+    return parentloop + " = context.get('forloop');\n" +
+        loopOutput + " = '';\n" +
+        'context.push(null);\n' +
+        'try {\n' +
+        values + ' = ' + node + '.getValues(context);\n' +
+        len_values + ' = ' + values + '.length;\n' +
+        'if (' + len_values + ' === 0){\n' +
+        compiler.compileNodeList(this.nodelist_empty, loopOutput, this) +
+        '} else {\n' +
+        loop_dict + " = {'parentloop': " + parentloop + '};\n' +
+        "context.set('forloop', " + loop_dict + ');\n' +
+        'for (' + i + ' = 0; ' + i + ' < ' + len_values + '; ' + i + '++){\n' +
+        'if (!' + node + '.hasItem(' + values + ', ' + i + ')) continue;\n' +
+        'current = ' + node + ';\n' +
+        'if (limits !== null) limits.countLoopIteration(renderContext.template, current);\n' +
+        pop_context + ' = current.setLoopVariables(context, ' + loop_dict + ', ' + values + '[' + i + '], ' + i + ', ' + len_values + ');\n' +
+        'try {\n' +
+        compiler.compileNodeList(this.nodelist_loop, loopOutput, this) +
+        '} finally {\n' +
+        'if (' + pop_context + ') context.pop();\n' +
+        '}\n' +
+        '}\n' +
+        '}\n' +
+        '} finally {\n' +
+        'context.dicts.pop();\n' +
+        '}\n' +
+        output + ' += ' + loopOutput + ';\n';
+}
+
+ForNode.prototype.hasItem = function(values, i){
+    // Return true if the loop renders the index i: the holes of sparse arrays are skipped, like forEach()
+    return i in values;
+}
+
+ForNode.prototype.getValues = function(context){
+    // Return the list of values of the loop
+    var values = this.sequence.resolve(context, true);
+    if (values === null){
+        values = []
+    } else {
+        if (!isArray(values)){
+            values = [values];
+        }
+    }
 
-                var unpacked_vars = {};
-                self.loopvars.forEach(function(loopVarName, i){
-                    unpacked_vars[loopVarName] = item[i];
-                });
+    if (this.is_reversed){
+        values.reverse();
+    }
 
-                pop_context = true;
+    return values;
+}
 
-                context.update(unpacked_vars)
-            } else {
-                context.set(self.loopvars[0], item);
-            }
+ForNode.prototype.setLoopVariables = function(context, loop_dict, item, i, len_values){
+    /*
+    Update the forloop counters and set the loop variables for the
+    iteration i. Return true if a dictionary was pushed to the context.
+    */
+    // Shortcuts for current loop iteration number.
+    loop_dict['counter0'] = i;
+    loop_dict['counter'] = i + 1;
+    // Reverse counter iteration numbers.
+    loop_dict['revcounter'] = len_values - i;
+    loop_dict['revcounter0'] = len_values - i - 1;
+    // Boolean values designating first and last times through loop.
+    loop_dict['first'] = (i === 0);
+    loop_dict['last'] = (i === len_values - 1);
+
+    var num_loopvars = this.loopvars.length;
+
+    if (num_loopvars > 1){
+        // If there are multiple loop variables, unpack the item into them.
+
+        if (!isArray(item)){
+            item = [item];
+        }
 
-            self.nodelist_loop.forEach(function(node){
-                nodelist.push(node.renderAnnotated(context))
-            });
+        var len_item = item.length;
 
-            if (pop_context){
-                // Pop the loop variables pushed on to the context to avoid the context ending up in an inconsistent state when other tags (e.g., include and with) push data to context.
-                context.pop()
-            }
+        // Check loop variable count before unpacking
+        if (num_loopvars !== len_item) {
+            throw new TemplateError("Need " + num_loopvars + " values to unpack in for loop; got " + len_item + ". ");
+        }
+
+        var unpacked_vars = {};
+        this.loopvars.forEach(function(loopVarName, i){
+            unpacked_vars[loopVarName] = item[i];
         });
-    });
 
-    return markSafe(nodelist.join(''));
+        context.update(unpacked_vars)
+
+        return true;
+    }
+
+    context.set(this.loopvars[0], item);
+
+    return false;
 }
 
 
@@ -6065,13 +10196,18 @@ IfEqualNode.prototype.render = function(context){
 
 var IfNode = function(conditions_nodelists){
     this.conditions_nodelists = conditions_nodelists
-    this.__defineGetter__("nodelist", this.getNodelist.bind(this));
 
     IfNode.baseConstructor.call(this);
 }
 
 inherits(IfNode, Node);
 
+Object.defineProperty(IfNode.prototype, 'nodelist', {
+    get: function(){
+        return this.getNodelist();
+    }
+});
+
 IfNode.prototype.forEach = function(f){
     this.conditions_nodelists.forEach(function(condition_nodelist){
         var nodelist = condition_nodelist[1];
@@ -6088,8 +10224,45 @@ IfNode.prototype.getNodelist = function(){
     return new NodeList(nodes);
 }
 
-IfNode.prototype.render = function(context){
-    var condition_nodelist, condition_nodelist, condition, nodelist, match;
+IfNode.prototype.renderParts = function*(context){
+    var nodelist = this.getMatchingNodelist(context);
+
+    if (nodelist !== null) yield nodelist;
+}
+
+IfNode.prototype.compile = function(compiler, output){
+    // Compile the clauses to if statements, like getMatchingNodelist()
+    var match = compiler.variable('match');
+    var code = '';
+    var closing = '';
+
+    for (var i = 0; i < this.conditions_nodelists.length; i++){
+        var condition = this.conditions_nodelists[i][0];
+        var nodelist = this.conditions_nodelists[i][1];
+        var nodelistOutput = compiler.variable('output');
+
+        var clause = nodelistOutput + " = '';\n" +
+            compiler.compileNodeList(nodelist, nodelistOutput, this) +
+            output + ' += ' + nodelistOutput + ';\n';
+
+        if (condition === null){
+            // else clause
+            code += clause;
+            break;
+        }
+
+        code += match + ' = ' + compiler.constant(condition) + '.evaluate(context);\n' +
+            'if (' + match + ' === VARIABLE_DOES_NOT_EXISTS) ' + match + ' = null;\n' +
+            'if (' + match + '){\n' + clause + '} else {\n';
+        closing += '}\n';
+    }
+
+    return code + closing;
+}
+
+IfNode.prototype.getMatchingNodelist = function(context){
+    // Return the nodelist of the first clause whose condition is true, or null
+    var condition_nodelist, condition, nodelist, match;
 
     for (var i = 0, conditions_nodelists_length=this.conditions_nodelists.length; i < conditions_nodelists_length; i++){
         condition_nodelist = this.conditions_nodelists[i];
@@ -6107,11 +10280,11 @@ IfNode.prototype.render = function(context){
         }
 
         if (match)
-            return nodelist.render(context)
+            return nodelist
 
     }
 
-    return ''
+    return null
 }
 
 var LoremNode = function(count, method, common){
@@ -6399,17 +10572,36 @@ var WithNode = function(variable, name, nodelist, extra_context){
 
 inherits(WithNode, Node);
 
-WithNode.prototype.render = function(context){
-    var self = this;
+WithNode.prototype.renderParts = function*(context){
+    context.push(this.getValues(context));
+
+    try {
+        yield this.nodelist;
+    } finally {
+        context.pop();
+    }
+}
 
+WithNode.prototype.compile = function(compiler, output){
+    var nodelistOutput = compiler.variable('output');
+
+    return 'context.push(' + compiler.constant(this) + '.getValues(context));\n' +
+        nodelistOutput + " = '';\n" +
+        'try {\n' +
+        compiler.compileNodeList(this.nodelist, nodelistOutput, this) +
+        '} finally {\n' +
+        'context.dicts.pop();\n' +
+        '}\n' +
+        output + ' += ' + nodelistOutput + ';\n';
+}
+
+WithNode.prototype.getValues = function(context){
     var values = {};
     Object.entries(this.extra_context).forEach(function(entry){
         values[entry[0]] = entry[1].resolve(context);
     });
 
-    return context.push(values, function(){
-        return self.nodelist.render(context);
-    });
+    return values;
 }
 
 defaultTemplateLibrary.tag('autoescape', function(parser, token){
@@ -7451,10 +11643,51 @@ defaultTemplateLibrary.tag('with', function(parser, token){
     return new WithNode(null, null, nodelist, extra_context);
 });
 
+Object.entries({
+    'NodeList': NodeList, 'Token': Token, 'FilterExpression': FilterExpression,
+    'Variable': Variable, 'SafeString': SafeString, 'Literal': Literal,
+    'TemplateLiteral': TemplateLiteral, 'InfixOperator': InfixOperator,
+    'PrefixOperator': PrefixOperator, 'TextNode': TextNode,
+    'VariableNode': VariableNode, 'SimpleNode': SimpleNode,
+    'InclusionNode': InclusionNode, 'BlockNode': BlockNode,
+    'ExtendsNode': ExtendsNode, 'IncludeNode': IncludeNode,
+    'AutoEscapeControlNode': AutoEscapeControlNode, 'CommentNode': CommentNode,
+    'CycleNode': CycleNode, 'DebugNode': DebugNode, 'FilterNode': FilterNode,
+    'FirstOfNode': FirstOfNode, 'ForNode': ForNode,
+    'IfChangedNode': IfChangedNode, 'IfEqualNode': IfEqualNode,
+    'IfNode': IfNode, 'LoremNode': LoremNode, 'RegroupNode': RegroupNode,
+    'LoadNode': LoadNode, 'NowNode': NowNode, 'ResetCycleNode': ResetCycleNode,
+    'SpacelessNode': SpacelessNode, 'TemplateTagNode': TemplateTagNode,
+    'VerbatimNode': VerbatimNode, 'WidthRatioNode': WidthRatioNode,
+    'WithNode': WithNode
+}).forEach(function(entry){
+    registerSerializableType(entry[0], entry[1]);
+});
+
 TemplateEngine.TemplateError = TemplateError;
 TemplateEngine.TemplateSyntaxError = TemplateSyntaxError;
+TemplateEngine.TemplateSerializationError = TemplateSerializationError;
+TemplateEngine.ContentNotRenderedError = ContentNotRenderedError;
+TemplateEngine.TemplateRenderLimitError = TemplateRenderLimitError;
 TemplateEngine.TemplateDoesNotExistError = TemplateDoesNotExistError;
+TemplateEngine.InvalidTemplateLibraryError = InvalidTemplateLibraryError;
+TemplateEngine.Origin = Origin;
+TemplateEngine.Loader = Loader;
+TemplateEngine.LocMemLoader = LocMemLoader;
+TemplateEngine.PrecompiledLoader = PrecompiledLoader;
+TemplateEngine.FileSystemLoader = FileSystemLoader;
+TemplateEngine.AppDirectoriesLoader = AppDirectoriesLoader;
+TemplateEngine.DomLoader = DomLoader;
+TemplateEngine.HttpLoader = HttpLoader;
+TemplateEngine.TemplateStore = TemplateStore;
+TemplateEngine.MemoryTemplateStore = MemoryTemplateStore;
+TemplateEngine.StorageTemplateStore = StorageTemplateStore;
+TemplateEngine.Signal = Signal;
+TemplateEngine.templateRendered = templateRendered;
+TemplateEngine.RenderedTemplatesRecorder = RenderedTemplatesRecorder;
+TemplateEngine.captureRenderedTemplates = captureRenderedTemplates;
+TemplateEngine.registerSerializableType = registerSerializableType;
+
+return TemplateEngine;
 
-global.DjangoTemplateEngine = TemplateEngine;
-
-})(this);
+});
@@ -0,0 +1,8 @@
+// ES module entry of the django template engine.
+// The engine itself is a universal module: under Node.js and bundlers it's
+// imported as a CommonJS module, in the browser it sets a global variable.
+import * as engineModule from './django_template_engine.js';
+
+var DjangoTemplateEngine = engineModule.default || globalThis.DjangoTemplateEngine;
+
+export default DjangoTemplateEngine;
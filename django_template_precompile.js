@@ -0,0 +1,356 @@
+#!/usr/bin/env node
+/*
+Precompiler of Django templates.
+
+Read the templates of a directory, check them with the lexer and the parser
+of django_template_engine.js and write a JavaScript module registering the
+precompiled templates with a TemplateEngine:
+
+    node django_template_precompile.js [options] <templates directory>
+
+The templates are named by their path relative to the directory. The
+module exports a function registering them with an engine:
+
+    import registerTemplates from './templates.mjs';
+    registerTemplates(engine);
+
+The templates are restored by engine.addPrecompiledTemplates() without
+lexing and parsing them again, so the engine can be the runtime build
+written with --runtime: django_template_engine.js without its lexer and
+parser (the code between the BEGIN COMPILER and END COMPILER comments).
+
+The syntax errors are written to the standard error as
+"file:line:column: message" and no module is written.
+*/
+var fs = require('fs');
+var path = require('path');
+var util = require('util');
+
+var ENGINE_PATH = require.resolve('./django_template_engine.js');
+var TemplateEngine = require(ENGINE_PATH);
+
+var USAGE = [
+    "Usage: node django_template_precompile.js [options] <templates directory>",
+    "",
+    "Options:",
+    "  -o, --output FILE        Write the module to FILE instead of the standard output",
+    "  -f, --format FORMAT      Module format: 'esm' (default) or 'commonjs'",
+    "  -e, --extension EXT      Only precompile the files with this extension, e.g. .html",
+    "                           (can be repeated). Default: every file",
+    "  -l, --library NAME=FILE  Register the template library exported by the module FILE",
+    "                           under NAME, for {% load NAME %} (can be repeated)",
+    "  -r, --runtime FILE       Also write the runtime build of the template engine,",
+    "                           without the lexer and the parser, to FILE",
+    "  -d, --debug              Precompile for an engine in debug mode",
+    "  -h, --help               Show this help"
+].join('\n');
+
+var FORMATS = ['esm', 'commonjs'];
+
+var COMPILER_RE = /^\/\/ BEGIN COMPILER[^\n]*\n[\s\S]*?^\/\/ END COMPILER\n/gm;
+
+var UsageError = function(message){
+    this.name = 'UsageError';
+    this.message = message;
+}
+util.inherits(UsageError, Error);
+
+function parseArguments(args){
+    /*
+    Return the options of the command line arguments. Throw UsageError if
+    they are invalid.
+    */
+    var options = {
+        directory: null,
+        output: null,
+        format: 'esm',
+        extensions: [],
+        libraries: {},
+        runtime: null,
+        debug: false,
+        help: false
+    };
+
+    var takeValue = function(i){
+        if (i + 1 >= args.length) throw new UsageError("Missing value of " + args[i]);
+        return args[i + 1];
+    }
+
+    for (var i = 0; i < args.length; i++){
+        var arg = args[i];
+
+        switch (arg){
+            case '-h':
+            case '--help':
+                options.help = true;
+                break;
+            case '-o':
+            case '--output':
+                options.output = takeValue(i++);
+                break;
+            case '-f':
+            case '--format':
+                options.format = takeValue(i++);
+                if (FORMATS.indexOf(options.format) === -1)
+                    throw new UsageError("Unknown module format: " + options.format);
+                break;
+            case '-e':
+            case '--extension':
+                var extension = takeValue(i++);
+                options.extensions.push(extension.charAt(0) === '.' ? extension : '.' + extension);
+                break;
+            case '-l':
+            case '--library':
+                var library = takeValue(i++);
+                var separator = library.indexOf('=');
+
+                if (separator <= 0 || separator === library.length - 1)
+                    throw new UsageError("Invalid library, expected NAME=FILE: " + library);
+
+                options.libraries[library.substring(0, separator)] = library.substring(separator + 1);
+                break;
+            case '-r':
+            case '--runtime':
+                options.runtime = takeValue(i++);
+                break;
+            case '-d':
+            case '--debug':
+                options.debug = true;
+                break;
+            default:
+                if (arg.charAt(0) === '-') throw new UsageError("Unknown option: " + arg);
+                if (options.directory !== null) throw new UsageError("Only one templates directory can be given");
+
+                options.directory = arg;
+        }
+    }
+
+    if (options.directory === null && !options.help)
+        throw new UsageError("Missing templates directory");
+
+    return options;
+}
+
+function loadLibraries(libraries){
+    /*
+    Return a dictionary of library names and the Library objects exported
+    by the modules (module.exports, or its 'default' or 'library' property).
+    */
+    var loaded = {};
+
+    Object.keys(libraries).forEach(function(name){
+        var exported;
+
+        try {
+            exported = require(path.resolve(libraries[name]));
+        } catch (e){
+            if (e.code !== 'MODULE_NOT_FOUND') throw e;
+            throw new UsageError("Cannot find the library module " + libraries[name]);
+        }
+
+        var library = [exported, exported && exported['default'], exported && exported.library].find(function(value){
+            return value && typeof value === 'object' && value.filters && value.tags;
+        });
+
+        if (!library)
+            throw new UsageError("The module " + libraries[name] + " doesn't export a template library");
+
+        loaded[name] = library;
+    });
+
+    return loaded;
+}
+
+function findTemplateFiles(directory, extensions){
+    /*
+    Return the sorted paths of the template files of the directory and its
+    subdirectories, relative to the directory and with '/' separators.
+    Hidden files and directories are ignored.
+    */
+    var files = [];
+
+    var walk = function(relativeDirectory){
+        fs.readdirSync(path.join(directory, relativeDirectory), {withFileTypes: true}).forEach(function(entry){
+            if (entry.name.charAt(0) === '.') return;
+
+            var relativePath = relativeDirectory ? relativeDirectory + '/' + entry.name : entry.name;
+
+            if (entry.isDirectory()){
+                walk(relativePath);
+            } else if (entry.isFile()){
+                if (extensions.length === 0 || extensions.indexOf(path.extname(entry.name)) !== -1)
+                    files.push(relativePath);
+            }
+        });
+    }
+
+    walk('');
+
+    return files.sort();
+}
+
+function getErrorLocation(error, source){
+    /*
+    Return the {line, column} of the token of a syntax error raised in
+    debug mode, or null if the error has no position.
+    */
+    if (!error.token || !error.token.position) return null;
+
+    var start = error.token.position[0];
+    var lineStart = source.lastIndexOf('\n', start - 1) + 1;
+
+    return {
+        line: error.token.lineno,
+        column: start - lineStart + 1
+    };
+}
+
+function formatError(file, error, source){
+    // Return the "file:line:column: message" line of a syntax error
+    var location = getErrorLocation(error, source);
+    var message = error.message.split('\n')[0];
+
+    if (location === null) return file + ': ' + message;
+
+    return file + ':' + location.line + ':' + location.column + ': ' + message;
+}
+
+function precompileDirectory(options){
+    /*
+    Check and precompile the templates of the directory. Return
+    {bundle, errors}: the bundle is null if a template has an error.
+    */
+    if (!fs.existsSync(options.directory) || !fs.statSync(options.directory).isDirectory())
+        throw new UsageError("Not a directory: " + options.directory);
+
+    var libraries = loadLibraries(options.libraries);
+
+    // The templates are checked in debug mode for the positions of the errors
+    var checkEngine = new TemplateEngine({}, {libraries: libraries, debug: true});
+    var engine = options.debug ? checkEngine : new TemplateEngine({}, {libraries: libraries, debug: false});
+
+    var bundle = engine.precompileTemplates({});
+    var errors = [];
+
+    findTemplateFiles(options.directory, options.extensions).forEach(function(name){
+        var file = path.join(options.directory, name);
+        var templates = {};
+        templates[name] = fs.readFileSync(file, 'utf8');
+
+        try {
+            var precompiled = checkEngine.precompileTemplates(templates);
+            if (engine !== checkEngine) precompiled = engine.precompileTemplates(templates);
+
+            bundle.templates[name] = precompiled.templates[name];
+        } catch (e){
+            if (!(e instanceof TemplateEngine.TemplateError)) throw e;
+            errors.push(formatError(file, e, templates[name]));
+        }
+    });
+
+    return {
+        bundle: errors.length === 0 ? bundle : null,
+        errors: errors
+    };
+}
+
+function writeModule(bundle, format){
+    // Return the source of the module registering the bundle
+    var lines = [
+        "// Templates precompiled by django_template_precompile.js. Do not edit.",
+        "var bundle = " + JSON.stringify(bundle) + ";",
+        ""
+    ];
+
+    if (format === 'commonjs'){
+        lines.push(
+            "module.exports = function registerTemplates(engine){",
+            "    return engine.addPrecompiledTemplates(bundle);",
+            "};",
+            "module.exports.bundle = bundle;"
+        );
+    } else {
+        lines.push(
+            "export default function registerTemplates(engine){",
+            "    return engine.addPrecompiledTemplates(bundle);",
+            "}",
+            "",
+            "export { bundle };"
+        );
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+function buildRuntime(source){
+    /*
+    Return the source of the runtime build of the template engine: its
+    source without the lexer and the parser. It renders the precompiled
+    templates but throws a TemplateError for the other templates.
+    */
+    var runtime = source.replace(COMPILER_RE, '');
+
+    if (runtime === source) throw new Error("The lexer and the parser of the template engine are not found");
+
+    return "// Runtime build of django_template_engine.js, written by django_template_precompile.js. Do not edit.\n" + runtime;
+}
+
+function main(args){
+    /*
+    Run the precompiler with the command line arguments. Return the exit
+    status: 0 on success, 1 if a template has an error and 2 for an
+    invalid command line.
+    */
+    var options;
+
+    try {
+        options = parseArguments(args);
+
+        if (options.help){
+            process.stdout.write(USAGE + '\n');
+            return 0;
+        }
+
+        var result = precompileDirectory(options);
+    } catch (e){
+        // e.g. a library created by another copy of the template engine
+        if (!(e instanceof UsageError || e instanceof TemplateEngine.TemplateError)) throw e;
+
+        process.stderr.write(e.message + '\n\n' + USAGE + '\n');
+        return 2;
+    }
+
+    if (result.errors.length > 0){
+        process.stderr.write(result.errors.join('\n') + '\n');
+        return 1;
+    }
+
+    var code = writeModule(result.bundle, options.format);
+
+    if (options.output){
+        fs.writeFileSync(options.output, code, 'utf8');
+    } else {
+        process.stdout.write(code);
+    }
+
+    if (options.runtime)
+        fs.writeFileSync(options.runtime, buildRuntime(fs.readFileSync(ENGINE_PATH, 'utf8')), 'utf8');
+
+    return 0;
+}
+
+if (require.main === module){
+    process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = {
+    UsageError: UsageError,
+    parseArguments: parseArguments,
+    findTemplateFiles: findTemplateFiles,
+    getErrorLocation: getErrorLocation,
+    formatError: formatError,
+    precompileDirectory: precompileDirectory,
+    writeModule: writeModule,
+    buildRuntime: buildRuntime,
+    main: main
+};
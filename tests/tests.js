@@ -27,6 +27,1612 @@ QUnit.test( "Template does not exist", function( assert ) {
     }, "Template 'test0' does not exist" );
 });
 
+QUnit.test( "Template loaders", function( assert ) {
+    var loader = {
+        getSource: function(templateName){
+            if (templateName !== 'loaded_template') return null;
+
+            return {
+                source: "Loaded {{ var1 }} {% include 'local_template' %}",
+                origin: new DjangoTemplateEngine.Origin('custom:' + templateName, templateName, this)
+            }
+        }
+    };
+
+    var engine = new DjangoTemplateEngine({"local_template": "and local"}, {
+        loaders: [loader]
+    });
+
+    assert.equal( engine.renderToString("loaded_template", {"var1": "template"}), "Loaded template and local" );
+
+    var template = engine.getTemplate("loaded_template");
+    assert.equal( template.origin.name, "custom:loaded_template" );
+    assert.equal( template.origin.loader, loader );
+    assert.ok( engine.getTemplate("local_template").origin.loader instanceof DjangoTemplateEngine.LocMemLoader );
+
+    assert.throws( function(){
+        engine.getTemplate("missing_template");
+    }, DjangoTemplateEngine.TemplateDoesNotExistError );
+});
+
+QUnit.test( "Template loaders are tried in order", function( assert ) {
+    var FirstLoader = function(){};
+    FirstLoader.prototype = Object.create(DjangoTemplateEngine.Loader.prototype);
+    FirstLoader.prototype.getSource = function(templateName){
+        throw new DjangoTemplateEngine.TemplateDoesNotExistError(templateName);
+    };
+
+    var engine = new DjangoTemplateEngine(null, {
+        loaders: [
+            new FirstLoader(),
+            new DjangoTemplateEngine.LocMemLoader({"template": "second"}),
+            new DjangoTemplateEngine.LocMemLoader({"template": "third"})
+        ]
+    });
+
+    assert.equal( engine.renderToString("template"), "second" );
+});
+
+QUnit.test( "Template name fallback lists", function( assert ) {
+    var engine = new DjangoTemplateEngine({
+        "section/base": "[section {% block content %}{% endblock %}]",
+        "base": "[base {% block content %}{% endblock %}]",
+        "item": "default item",
+        "page": "{% extends base_templates %}{% block content %}{% include item_templates %}{% endblock %}"
+    });
+
+    assert.equal( engine.getTemplate(["missing", "item"]).name, "item" );
+    assert.equal( engine.selectTemplate(["missing", "base", "item"]).name, "base" );
+    assert.equal( engine.renderToString(["missing", "item"]), "default item" );
+
+    assert.equal( engine.renderToString("page", {
+        "base_templates": ["other/base", "section/base", "base"],
+        "item_templates": ["section/item", "item"]
+    }), "[section default item]" );
+
+    assert.throws( function(){
+        engine.selectTemplate(["missing1", "missing2"]);
+    }, function(e){
+        return e instanceof DjangoTemplateEngine.TemplateDoesNotExistError &&
+            e.message === "Template 'missing1, missing2' does not exist" &&
+            e.templateNames.length === 2;
+    });
+
+    assert.throws( function(){
+        engine.selectTemplate([]);
+    }, /No template names provided/ );
+});
+
+QUnit.test( "Relative template names in extends and include", function( assert ) {
+    var engine = new DjangoTemplateEngine({
+        "blog/base.html": "[{% block content %}{% endblock %}]",
+        "blog/posts/detail.html": "{% extends './../base.html' %}{% block content %}{% include '../partials/row.html' %}{% endblock %}",
+        "blog/partials/row.html": "row {% include './cell.html' %}",
+        "blog/partials/cell.html": "cell",
+        "outside.html": "{% include '../row.html' %}",
+        "self.html": "{% include './self.html' %}"
+    });
+
+    assert.equal( engine.renderToString("blog/posts/detail.html"), "[row cell]" );
+
+    assert.throws( function(){
+        engine.getTemplate("outside.html");
+    }, /points outside the file hierarchy/ );
+
+    assert.throws( function(){
+        engine.getTemplate("self.html");
+    }, /the same template in which the tag appears/ );
+
+    assert.throws( function(){
+        DjangoTemplateEngine.renderTemplate("{% include './row.html' %}");
+    }, /unknown template origin/ );
+});
+
+QUnit.test( "Extending a template with the same name in a lower layer", function( assert ) {
+    var engine = new DjangoTemplateEngine([
+        {
+            "base.html": "{% extends 'base.html' %}{% block header %}Theme {{ block.super }}{% endblock %}"
+        },
+        {
+            "base.html": "{% extends 'base.html' %}{% block footer %}[project footer]{% endblock %}",
+            "page.html": "{% extends 'base.html' %}{% block content %}Page{% endblock %}"
+        },
+        {
+            "base.html": "<{% block header %}header{% endblock %}|{% block content %}{% endblock %}|{% block footer %}footer{% endblock %}>"
+        }
+    ]);
+
+    assert.equal( engine.renderToString("page.html"), "<Theme header|Page|[project footer]>" );
+    assert.equal( engine.renderToString("base.html"), "<Theme header||[project footer]>" );
+
+    var loopEngine = new DjangoTemplateEngine({
+        "base.html": "{% extends 'base.html' %}"
+    });
+
+    assert.throws( function(){
+        loopEngine.renderToString("base.html");
+    }, DjangoTemplateEngine.TemplateDoesNotExistError );
+
+    // A parent with another name is loaded once and then taken from the cache
+    var loads = [];
+    var loader = new DjangoTemplateEngine.LocMemLoader({
+        "base.html": "<{% block content %}{% endblock %}>",
+        "page.html": "{% extends 'base.html' %}{% block content %}Page{% endblock %}"
+    });
+    var getSource = loader.getSource;
+    loader.getSource = function(templateName){
+        loads.push(templateName);
+        return getSource.apply(this, arguments);
+    }
+
+    var cachedEngine = new DjangoTemplateEngine(null, {loaders: [loader]});
+    for (var i = 0; i < 5; i++){
+        assert.equal( cachedEngine.renderToString("page.html"), "<Page>" );
+    }
+    assert.deepEqual( loads, ["page.html", "base.html"] );
+});
+
+QUnit.test( "Builtin libraries", function( assert ) {
+    var shoutLibrary = DjangoTemplateEngine.createTemplateLibrary();
+    shoutLibrary.filter('shout', function(value){ return value.toUpperCase() + '!' });
+
+    var greetingLibrary = DjangoTemplateEngine.createTemplateLibrary();
+    greetingLibrary.simpleTag(function greeting(name){ return 'Hello ' + name });
+
+    var engine = new DjangoTemplateEngine({
+        "page": "{% greeting name %} {{ name|shout }}"
+    }, {
+        libraries: {"greetings": greetingLibrary},
+        builtins: ["greetings", shoutLibrary]
+    });
+
+    assert.equal( engine.renderToString("page", {"name": "world"}), "Hello world WORLD!" );
+
+    assert.throws( function(){
+        new DjangoTemplateEngine(null, {builtins: ["missing"]});
+    }, DjangoTemplateEngine.InvalidTemplateLibraryError );
+});
+
+QUnit.test( "Per-engine context builtins and context processors", function( assert ) {
+    var engine = new DjangoTemplateEngine({
+        "page": "{{ site_name }} {{ user }} {{ path }} {{ True }}"
+    }, {
+        context_builtins: {"site_name": "Site"},
+        context_processors: [
+            function(request){ return {"user": "anonymous", "path": request ? request.path : "-"} },
+            function(request){ return {"user": "admin"} }
+        ]
+    });
+
+    assert.equal( engine.renderToString("page"), "Site admin - true" );
+    assert.equal( engine.renderToString("page", {"user": "john"}, {"path": "/blog/"}), "Site john /blog/ true" );
+    assert.equal( engine.renderTemplateString("{{ user }}", null, {"path": "/"}), "admin" );
+
+    engine.addToContextBuiltins({"site_name": "Other site"});
+    assert.equal( engine.renderToString("page"), "Other site admin - true" );
+
+    var otherEngine = new DjangoTemplateEngine({"page": "{{ site_name }}"});
+    assert.equal( otherEngine.renderToString("page"), "" );
+});
+
+QUnit.test( "QueryDict", function( assert ) {
+    var query = new DjangoTemplateEngine.QueryDict("?page=2&tag=a&tag=b+c&empty=");
+
+    assert.equal( query.get("page"), "2" );
+    assert.equal( query.get("tag"), "b c" );
+    assert.deepEqual( query.getlist("tag"), ["a", "b c"] );
+    assert.deepEqual( query.getlist("missing"), [] );
+    assert.equal( query.get("missing", "default"), "default" );
+    assert.equal( query.get("empty"), "" );
+    assert.equal( query.urlencode(), "page=2&tag=a&tag=b%20c&empty=" );
+
+    assert.deepEqual( new DjangoTemplateEngine.QueryDict({"tag": ["a", "b"], "page": 1}).lists(), [["tag", ["a", "b"]], ["page", [1]]] );
+});
+
+QUnit.test( "RequestContext", function( assert ) {
+    var engine = new DjangoTemplateEngine({
+        "page": "{{ request.path }} {{ request.GET.page }} {{ request.GET.tag }} {% if 'tag' in request.GET %}tagged{% endif %} {{ request.user.username }} {{ request.resolver_match.url_name }} {{ section }}",
+        "include": "{% include 'included' only %}",
+        "included": "[{{ request.path }}{{ section }}]"
+    }, {
+        context_processors: [
+            DjangoTemplateEngine.contextProcessors.request,
+            function(request){ return {"section": request.path.split('/')[1]} }
+        ]
+    });
+
+    var request = {
+        url: "/blog/posts/?page=2&tag=a&tag=b",
+        user: {"username": "john"},
+        resolver_match: {"url_name": "post_list"}
+    };
+
+    assert.equal( engine.renderToString("page", {}, request), "/blog/posts/ 2 b tagged john post_list blog" );
+    assert.equal( engine.renderToString("page", {"section": "news"}, request), "/blog/posts/ 2 b tagged john post_list news" );
+    assert.equal( engine.renderToString("include", {}, request), "[]" );
+
+    var context = new DjangoTemplateEngine.RequestContext(new DjangoTemplateEngine.HttpRequest({path: "/shop/", POST: {"item": ["1", "2"]}}), {"section": "ignored"});
+    var template = engine.getTemplateFromString("{{ section }} {{ request.POST.item }} {{ request.method }}");
+
+    assert.equal( template.render(context), "shop 2 GET" );
+    assert.deepEqual( context.request.POST.getlist("item"), ["1", "2"] );
+});
+
+QUnit.test( "Engine runtime settings and child engines", function( assert ) {
+    var library = DjangoTemplateEngine.createTemplateLibrary();
+    library.filter('shout', function(value){ return value.toUpperCase() + '!' });
+
+    var engine = new DjangoTemplateEngine({
+        "page": "{% load shouts %}{{ date|date }} {{ date|time }} {{ name|shout }} {{ missing }}"
+    }, {
+        libraries: {"shouts": library},
+        default_date_time_format: "Y-m-d",
+        default_time_format: "H:i"
+    });
+
+    var date = new Date(2020, 0, 15, 10, 30);
+
+    assert.equal( engine.renderToString("page", {"date": date, "name": "john"}), "2020-01-15 10:30 JOHN! " );
+
+    var child = engine.extend({
+        default_date_time_format: "d/m/Y",
+        string_if_invalid: "[%s]"
+    });
+
+    assert.strictEqual( child.parent, engine );
+    assert.equal( child.renderToString("page", {"date": date, "name": "john"}), "15/01/2020 10:30 JOHN! [missing]" );
+    assert.strictEqual( child.getTemplate("page"), engine.getTemplate("page") );
+    assert.equal( engine.renderToString("page", {"date": date, "name": "john"}), "2020-01-15 10:30 JOHN! " );
+
+    engine.configure({default_time_format: "H:i:s"});
+    assert.equal( engine.renderToString("page", {"date": date, "name": "john"}), "2020-01-15 10:30:00 JOHN! " );
+
+    // Debug mode needs templates parsed with the positions of the tokens
+    var template = engine.getTemplate("page");
+    var missingInclude = "{{ name }}\n{% include 'missing' %}";
+    var stringTemplate = engine.getTemplateFromString(missingInclude);
+    var debugChild = engine.extend({debug: true});
+
+    assert.notStrictEqual( debugChild.getTemplate("page"), template );
+    assert.notStrictEqual( debugChild.getTemplateFromString(missingInclude), stringTemplate );
+    assert.strictEqual( engine.getTemplate("page"), template );
+    assert.strictEqual( engine.getTemplateFromString(missingInclude), stringTemplate );
+    assert.strictEqual( debugChild.extend({string_if_invalid: "-"}).getTemplate("page"), debugChild.getTemplate("page") );
+
+    assert.throws( function(){
+        debugChild.renderTemplateString(missingInclude);
+    }, function(e){
+        return e instanceof DjangoTemplateEngine.TemplateDoesNotExistError && e.template_debug.line === 2;
+    });
+
+    engine.configure({debug: true});
+    assert.notStrictEqual( engine.getTemplate("page"), template );
+
+    assert.throws( function(){
+        engine.configure({unknown_setting: true});
+    }, /Unknown template engine setting/ );
+});
+
+QUnit.test( "Default settings", function( assert ) {
+    var defaultSettings = DjangoTemplateEngine.getDefaultSettings();
+
+    DjangoTemplateEngine.setDefaultSettings({STRING_IF_INVALID: "[invalid]"});
+
+    try {
+        assert.equal( DjangoTemplateEngine.renderTemplate("{{ missing }}"), "[invalid]" );
+        assert.equal( DjangoTemplateEngine.getDefaultSettings().STRING_IF_INVALID, "[invalid]" );
+    } finally {
+        DjangoTemplateEngine.setDefaultSettings({STRING_IF_INVALID: defaultSettings.STRING_IF_INVALID});
+    }
+
+    assert.equal( DjangoTemplateEngine.renderTemplate("{{ missing }}"), "" );
+
+    assert.throws( function(){
+        DjangoTemplateEngine.setDefaultSettings({UNKNOWN_SETTING: true});
+    }, /Unknown template setting/ );
+});
+
+QUnit.test( "Engine from Django settings", function( assert ) {
+    var shoutLibrary = DjangoTemplateEngine.createTemplateLibrary();
+    shoutLibrary.filter('shout', function(value){ return value.toUpperCase() + '!' });
+
+    var quoteLibrary = DjangoTemplateEngine.createTemplateLibrary();
+    quoteLibrary.filter('quote', function(value){ return '"' + value + '"' });
+
+    DjangoTemplateEngine.registerDjangoPath('myapp.templatetags.quote', quoteLibrary);
+
+    var warnings = [];
+    var engine = DjangoTemplateEngine.fromDjangoSettings({
+        "BACKEND": "django.template.backends.django.DjangoTemplates",
+        "DIRS": [],
+        "OPTIONS": {
+            "debug": true,
+            "string_if_invalid": "INVALID",
+            "autoescape": false,
+            "builtins": ["myapp.templatetags.shout"],
+            "libraries": {"quote": "myapp.templatetags.quote"},
+            "context_processors": ["myapp.context_processors.site"],
+            "unknown_option": 1
+        },
+        "UNKNOWN_SETTING": 2
+    }, {
+        templateSources: {"page": "{% load quote %}{{ title|shout|quote }} {{ missing }} {{ html }} {{ site }}"},
+        registry: {
+            "myapp.templatetags.shout": shoutLibrary,
+            "myapp.context_processors.site": function(request){ return {"site": "example.com"} }
+        },
+        onWarning: function(message){ warnings.push(message) }
+    });
+
+    assert.ok( engine.debug );
+    assert.equal( engine.renderToString("page", {"title": "hi", "html": "<b>"}), '"HI!" INVALID <b> example.com' );
+    assert.deepEqual( warnings, ["Unknown setting 'UNKNOWN_SETTING'. Ignoring it.", "Unknown option 'unknown_option'. Ignoring it."] );
+
+    assert.throws( function(){
+        DjangoTemplateEngine.fromDjangoSettings({"OPTIONS": {"builtins": ["missing.library"]}});
+    }, DjangoTemplateEngine.InvalidTemplateLibraryError );
+});
+
+QUnit.test( "Diagnostics of missing templates", function( assert ) {
+    var loader = new DjangoTemplateEngine.LocMemLoader({"blog/post_detail.html": "post"});
+
+    var engine = new DjangoTemplateEngine({
+        "page.html": "{% extends 'base.html' %}{% block content %}{% include 'blog/post_detial.html' %}{% endblock %}",
+        "base.html": "{% block content %}{% endblock %}",
+        "article.html": "{% extends 'base.html' %}{% block content %}{% include 'sidebar.html' %}{% endblock %}",
+        "sidebar.html": "{% include 'widgets/latest.html' %}"
+    }, {
+        loaders: [loader]
+    });
+
+    assert.equal( engine.getTemplate("page.html").origin.getLoaderName(), "LocMemLoader" );
+
+    var error;
+    try {
+        engine.renderToString("page.html");
+    } catch (e) {
+        error = e;
+    }
+
+    assert.ok( error instanceof DjangoTemplateEngine.TemplateDoesNotExistError );
+    assert.equal( error.templateName, "blog/post_detial.html" );
+    assert.deepEqual( error.tried.map(function(entry){ return [entry.origin.name, entry.status] }), [
+        ["blog/post_detial.html", "Source does not exist"],
+        ["blog/post_detial.html", "Source does not exist"]
+    ] );
+    assert.strictEqual( error.tried[1].origin.loader, loader );
+    // The include is in a block of page.html, rendered by base.html
+    assert.deepEqual( error.templateChain, ["page.html"] );
+    assert.deepEqual( error.suggestions, ["blog/post_detail.html"] );
+
+    try {
+        engine.renderToString("article.html");
+    } catch (e) {
+        error = e;
+    }
+
+    assert.deepEqual( error.templateChain, ["article.html", "sidebar.html"] );
+
+    var suggestionCalls = 0;
+    var getTemplateNameSuggestions = engine.getTemplateNameSuggestions;
+    engine.getTemplateNameSuggestions = function(){
+        suggestionCalls++;
+        return getTemplateNameSuggestions.apply(this, arguments);
+    };
+
+    assert.equal( engine.selectTemplate(["missing.html", "page.html"]).name, "page.html" );
+    assert.equal( suggestionCalls, 0, "the suggestions are only looked for when they are read" );
+
+    delete engine.getTemplateNameSuggestions;
+
+    try {
+        engine.selectTemplate(["missing1.html", "page"]);
+    } catch (e) {
+        error = e;
+    }
+
+    assert.equal( error.tried.length, 4 );
+    assert.deepEqual( error.suggestions, ["page.html"] );
+});
+
+QUnit.test( "LRU cache of template strings", function( assert ) {
+    var engine = new DjangoTemplateEngine(null, {string_template_cache_size: 2});
+
+    var template1 = engine.getTemplateFromString("{{ a }}");
+    assert.strictEqual( engine.getTemplateFromString("{{ a }}"), template1 );
+
+    var template2 = engine.getTemplateFromString("{{ b }}");
+    engine.getTemplateFromString("{{ a }}");
+    engine.getTemplateFromString("{{ c }}");
+
+    // "{{ b }}" was the least recently used template
+    assert.strictEqual( engine.getTemplateFromString("{{ a }}"), template1 );
+    assert.notStrictEqual( engine.getTemplateFromString("{{ b }}"), template2 );
+    assert.equal( engine.stringTemplates.size(), 2 );
+
+    engine.clearCache();
+    assert.equal( engine.stringTemplates.size(), 0 );
+    assert.notStrictEqual( engine.getTemplateFromString("{{ a }}"), template1 );
+
+    // The templates compiled with other settings or libraries aren't reused
+    var template3 = engine.getTemplateFromString("{{ a }}");
+
+    engine.debug = true;
+    assert.notStrictEqual( engine.getTemplateFromString("{{ a }}"), template3 );
+
+    engine.debug = false;
+    assert.strictEqual( engine.getTemplateFromString("{{ a }}"), template3 );
+
+    var extra = engine.createLibrary("extra");
+    assert.notStrictEqual( engine.getTemplateFromString("{{ a }}"), template3 );
+
+    // Nor after a filter is registered or replaced in a loaded library
+    extra.filter("mark", function(value){ return value + "!" });
+    assert.equal( engine.renderTemplateString("{% load extra %}{{ a|mark }}", {"a": 1}), "1!" );
+
+    extra.filter("mark", function(value){ return value + "?" });
+    assert.equal( engine.renderTemplateString("{% load extra %}{{ a|mark }}", {"a": 1}), "1?" );
+
+    var noCacheEngine = new DjangoTemplateEngine(null, {string_template_cache_size: 0});
+    assert.notStrictEqual( noCacheEngine.getTemplateFromString("{{ a }}"), noCacheEngine.getTemplateFromString("{{ a }}") );
+});
+
+QUnit.test( "renderTemplate reuses engines with the same options", function( assert ) {
+    var sources = {"included": "included {{ a }}"};
+
+    assert.equal( DjangoTemplateEngine.renderTemplate("{% include 'included' %}", {"a": 1}, sources, {string_if_invalid: "?"}), "included 1" );
+
+    sources["included"] = "changed {{ a }}";
+    assert.equal( DjangoTemplateEngine.renderTemplate("{% include 'included' %}", {"a": 2}, sources, {string_if_invalid: "?"}), "changed 2" );
+    assert.equal( DjangoTemplateEngine.renderTemplate("{{ b }}", {}, null, {string_if_invalid: "?"}), "?" );
+    assert.equal( DjangoTemplateEngine.renderTemplate("{{ b }}", {}, null, {string_if_invalid: "!"}), "!" );
+
+    DjangoTemplateEngine.clearCache();
+    assert.equal( DjangoTemplateEngine.renderTemplate("{{ a }}", {"a": 3}), "3" );
+});
+
+QUnit.test( "Template responses", function( assert ) {
+    var engine = new DjangoTemplateEngine({
+        "page": "Page {{ title }}",
+        "mobile/page": "Mobile {{ title }}{% if request %} {{ request.path }}{% endif %}"
+    }, {
+        context_processors: [DjangoTemplateEngine.contextProcessors.request]
+    });
+
+    var response = engine.templateResponse("page", {"title": "A"});
+    assert.notOk( response.isRendered );
+    assert.throws( function(){
+        response.content;
+    }, DjangoTemplateEngine.ContentNotRenderedError );
+
+    // Middleware can change the template and the context before rendering
+    response.templateName = ["missing", "mobile/page"];
+    response.contextData["title"] = "B";
+    assert.equal( response.renderedContent, "Mobile B" );
+    assert.notOk( response.isRendered );
+
+    var calls = [];
+    response.addPostRenderCallback(function(r){
+        calls.push(r.content);
+    });
+    response.addPostRenderCallback(function(r){
+        return "replaced";
+    });
+    response.addPostRenderCallback(function(r){
+        // Called with the value returned by the previous callback
+        calls.push(r);
+        return r + " again";
+    });
+    response.addPostRenderCallback(function(r){
+        calls.push(r);
+    });
+
+    assert.equal( response.render(), "replaced again" );
+    assert.ok( response.isRendered );
+    assert.equal( response.content, "Mobile B" );
+    assert.deepEqual( calls, ["Mobile B", "replaced", "replaced again"] );
+
+    // The response is rendered only once
+    response.contextData["title"] = "C";
+    assert.strictEqual( response.render(), response );
+    assert.equal( response.content, "Mobile B" );
+    assert.deepEqual( calls, ["Mobile B", "replaced", "replaced again"] );
+
+    // Callbacks added after rendering are called immediately
+    response.addPostRenderCallback(function(r){
+        calls.push("late");
+    });
+    assert.deepEqual( calls, ["Mobile B", "replaced", "replaced again", "late"] );
+
+    var request = new DjangoTemplateEngine.HttpRequest({url: "/news/"});
+    var requestResponse = engine.templateResponse(engine.getTemplate("mobile/page"), {"title": "D"}, request);
+    assert.strictEqual( requestResponse.render(), requestResponse );
+    assert.equal( requestResponse.content, "Mobile D /news/" );
+
+    var manual = engine.templateResponse("page");
+    manual.content = "Manual";
+    assert.ok( manual.isRendered );
+    assert.equal( manual.render().content, "Manual" );
+});
+
+QUnit.test( "Signal template rendered", function( assert ) {
+    var engine = new DjangoTemplateEngine({
+        "base": "<table>{% block rows %}{% endblock %}</table>",
+        "list": "{% extends 'base' %}{% block rows %}{% for row in rows %}{% include 'partials/row.html' %}{% endfor %}{% endblock %}",
+        "partials/row.html": "<tr>{{ row }}</tr>",
+        "empty": "Empty"
+    });
+
+    var events = [];
+    var receiver = function(sender, kwargs){
+        events.push([sender, kwargs.templateName, kwargs.context["row"]]);
+    };
+
+    DjangoTemplateEngine.templateRendered.connect(receiver);
+    engine.renderToString("list", {"rows": ["a", "b"]});
+    assert.ok( DjangoTemplateEngine.templateRendered.disconnect(receiver) );
+    assert.notOk( DjangoTemplateEngine.templateRendered.disconnect(receiver) );
+
+    assert.deepEqual( events.map(function(e){ return e[1] }), ["list", "base", "partials/row.html", "partials/row.html"] );
+    assert.strictEqual( events[0][0], engine.getTemplate("list") );
+    assert.deepEqual( events.map(function(e){ return e[2] }), [undefined, undefined, "a", "b"] );
+
+    var recorder = DjangoTemplateEngine.captureRenderedTemplates(function(){
+        engine.renderToString("list", {"rows": ["a", "b"]});
+    });
+
+    assert.deepEqual( recorder.getTemplateNames(), ["list", "base", "partials/row.html", "partials/row.html"] );
+    recorder.assertTemplateUsed("partials/row.html");
+    recorder.assertTemplateUsed("partials/row.html", {count: 2, context: {"row": "b"}});
+    recorder.assertTemplateNotUsed("empty");
+
+    assert.throws( function(){
+        recorder.assertTemplateUsed("empty");
+    }, /Template 'empty' was not a template used to render the response/ );
+    assert.throws( function(){
+        recorder.assertTemplateUsed("base", {count: 2});
+    }, /expected to be rendered 2 time\(s\) but was actually rendered 1 time\(s\)/ );
+    assert.throws( function(){
+        recorder.assertTemplateUsed("partials/row.html", {context: {"row": "c"}});
+    }, /was not rendered with the context/ );
+    assert.throws( function(){
+        recorder.assertTemplateNotUsed("base");
+    }, /Template 'base' was used unexpectedly/ );
+
+    // Templates rendered after the capture aren't recorded
+    engine.renderToString("empty");
+    recorder.assertTemplateNotUsed("empty");
+
+    return DjangoTemplateEngine.captureRenderedTemplates(function(){
+        return Promise.resolve().then(function(){
+            engine.renderToString("empty");
+        });
+    }).then(function(asyncRecorder){
+        assert.deepEqual( asyncRecorder.getTemplateNames(), ["empty"] );
+        assert.notOk( DjangoTemplateEngine.templateRendered.hasListeners() );
+    });
+});
+
+QUnit.test( "Template stores", function( assert ) {
+    var library = DjangoTemplateEngine.createTemplateLibrary();
+    library.filter('shout', function(value){ return value.toUpperCase() + '!' });
+    library.simpleTag(function greeting(name){ return 'Hello ' + name });
+    library.tag('stamp', function(parser, token){
+        return {toString: function(){ return 'stamp' }};
+    });
+
+    var sources = {
+        "base": "{% block title %}Base{% endblock %}|{% block content %}{% endblock %}",
+        "page": "{% extends 'base' %}{% load shouts %}{% block content %}{% for item in items %}{% cycle 'a' 'b' as row %}{{ item|shout }}{% if item == 'x' and not forloop.last %}-{% endif %}{% endfor %}{% greeting name %}{% endblock %}",
+        "stamped": "{% load shouts %}{% stamp %}"
+    };
+
+    var store = new DjangoTemplateEngine.MemoryTemplateStore();
+    var options = {libraries: {"shouts": library}, template_store: store};
+    var context = {"items": ["x", "y"], "name": "world"};
+
+    var engine = new DjangoTemplateEngine(sources, options);
+    assert.equal( engine.renderToString("page", context), "Base|aX!-bY!Hello world" );
+
+    // The custom node of "stamped" can't be serialized so it isn't stored
+    assert.equal( engine.renderToString("stamped"), "stamp" );
+    assert.equal( store.size(), 2 );
+
+    // Another engine restores the templates from the store
+    var otherEngine = new DjangoTemplateEngine(sources, options);
+    var stored = sources["page"];
+    var key = otherEngine.getTemplateStoreKey(stored, "page");
+    assert.ok( store.get(key) !== null );
+
+    // The stored nodelist is used instead of parsing the source again
+    var entry = store.get(key);
+    store.set(key, entry.replace('"s":"-"', '"s":"+"'));
+    assert.equal( otherEngine.renderToString("page", context), "Base|aX!+bY!Hello world" );
+    store.set(key, entry);
+
+    // The libraries and the builtins change the key
+    var otherLibrary = DjangoTemplateEngine.createTemplateLibrary();
+    otherLibrary.filter('whisper', function(value){ return value.toLowerCase() });
+
+    assert.notEqual( new DjangoTemplateEngine(sources, {libraries: {"shouts": otherLibrary}}).getTemplateStoreKey(stored, "page"), key );
+    assert.notEqual( new DjangoTemplateEngine(sources, {libraries: {"shouts": library, "whispers": otherLibrary}}).getTemplateStoreKey(stored, "page"), key );
+    assert.notEqual( new DjangoTemplateEngine(sources, {libraries: {"shouts": library}, builtins: [otherLibrary]}).getTemplateStoreKey(stored, "page"), key );
+
+    // A change of the source changes the key
+    sources["page"] = "{% extends 'base' %}{% block title %}Page{% endblock %}";
+    assert.equal( new DjangoTemplateEngine(sources, options).renderToString("page"), "Page|" );
+    assert.equal( store.size(), 3 );
+
+    // Entries that can't be restored are compiled again
+    store.set(key, '{"version": ' + JSON.parse(entry).version + ', "root": {"$ref": 0}, "objects": [{"type": "UnknownNode", "attrs": {}}]}');
+    sources["page"] = stored;
+    assert.equal( new DjangoTemplateEngine(sources, options).renderToString("page", context), "Base|aX!-bY!Hello world" );
+    assert.notEqual( store.get(key).indexOf('"NodeList"'), -1 );
+
+    store.clear();
+    assert.equal( store.size(), 0 );
+
+    // Store with the interface of localStorage
+    var items = {};
+    var storage = {
+        getItem: function(key){ return key in items ? items[key] : null },
+        setItem: function(key, value){ items[key] = String(value) },
+        removeItem: function(key){ delete items[key] },
+        key: function(i){ var keys = Object.keys(items); return i < keys.length ? keys[i] : null },
+        get length(){ return Object.keys(items).length }
+    };
+    items["other"] = "value";
+
+    var storageEngine = new DjangoTemplateEngine(sources, {libraries: {"shouts": library}, template_store: new DjangoTemplateEngine.StorageTemplateStore(storage, "templates:")});
+    assert.equal( storageEngine.renderToString("page", context), "Base|aX!-bY!Hello world" );
+    assert.ok( ("templates:" + storageEngine.getTemplateStoreKey(stored, "page")) in items );
+
+    storageEngine.templateStore.clear();
+    assert.deepEqual( Object.keys(items), ["other"] );
+});
+
+QUnit.test( "Template hot reload", function( assert ) {
+    var engine = new DjangoTemplateEngine({
+        "base": "<h1>{% block title %}{% endblock %}</h1>",
+        "page": "{% extends 'base' %}{% block title %}{% include 'title' %}{% endblock %}",
+        "title": "Title",
+        "other": "Other"
+    });
+
+    assert.equal( engine.renderToString("page"), "<h1>Title</h1>" );
+    engine.getTemplate("other");
+
+    assert.deepEqual( engine.getTemplateDependents("title"), ["page"] );
+
+    var template = engine.setTemplateSource("base", "<h2>{% block title %}{% endblock %}</h2>");
+    assert.strictEqual( engine.getTemplate("base"), template );
+    assert.notOk( engine.templates.hasOwnProperty("page") );
+    assert.ok( engine.templates.hasOwnProperty("other") );
+    assert.equal( engine.renderToString("page"), "<h2>Title</h2>" );
+
+    engine.setTemplateSource("title", "New title");
+    assert.equal( engine.renderToString("page"), "<h2>New title</h2>" );
+
+    assert.deepEqual( engine.invalidate("base"), ["base", "page"] );
+});
+
+var createFakeFetch = function(templates){
+    /*
+    Stand-in of a server returning the templates with an ETag and
+    answering conditional requests.
+    */
+    var fakeFetch = function(url, init){
+        fakeFetch.requests.push({url: url, headers: init.headers});
+
+        var name = url.substring('/templates/'.length);
+        var response = {ok: false, status: 404};
+
+        if (templates.hasOwnProperty(name)) {
+            var etag = '"' + templates[name].length + '"';
+
+            if (init.headers['If-None-Match'] === etag) {
+                response = {ok: false, status: 304};
+            } else {
+                response = {ok: true, status: 200};
+            }
+
+            response.headers = {get: function(header){ return header === 'ETag' ? etag : null }};
+            response.text = function(){ return Promise.resolve(templates[name]) };
+        }
+
+        return Promise.resolve(response);
+    };
+    fakeFetch.requests = [];
+
+    return fakeFetch;
+};
+
+QUnit.test( "Asynchronous rendering with promises", function( assert ) {
+    var engine = new DjangoTemplateEngine({
+        "post": "{{ post.title|upper }} by {{ post.author.name }}: {% for comment in post.comments %}{{ comment }} {% empty %}none {% endfor %}{% if post.published %}published{% else %}draft{% endif %}",
+        "error": "{{ failure }}"
+    });
+
+    var calls = 0;
+    var post = Promise.resolve({
+        title: "Hello",
+        author: Promise.resolve({name: "Ann"}),
+        comments: function(){
+            calls++;
+            return Promise.resolve(["nice", "great"]);
+        },
+        published: new Promise(function(resolve){ setTimeout(function(){ resolve(true) }, 0) })
+    });
+
+    var rendered = engine.renderToStringAsync("post", {"post": post}).then(function(output){
+        assert.equal( output, "HELLO by Ann: nice great published" );
+        // Methods returning promises are called once
+        assert.equal( calls, 1 );
+    });
+
+    var template = engine.getTemplateFromString("{% with total=count %}{{ total }}{% endwith %} {{ name }}");
+    var context = new DjangoTemplateEngine.Context({"count": Promise.resolve(3), "name": "plain"});
+    var contextSize = context.dicts.length;
+    var renderedTemplate = template.renderAsync(context).then(function(output){
+        assert.equal( output, "3 plain" );
+        assert.equal( context.dicts.length, contextSize );
+    });
+
+    var failed = engine.renderToStringAsync("error", {"failure": Promise.reject(new Error("API error"))}).then(function(){
+        assert.ok( false, "The promise should be rejected" );
+    }, function(e){
+        assert.equal( e.message, "API error" );
+    });
+
+    // Promises are not awaited by the synchronous rendering
+    assert.equal( engine.renderTemplateString("{{ a }}", {"a": Promise.resolve(1)}), "[object Promise]" );
+
+    return Promise.all([rendered, renderedTemplate, failed]);
+});
+
+QUnit.test( "Asynchronous rendering renders each node once", function( assert ) {
+    var engine = new DjangoTemplateEngine({
+        "page": "{% include 'header' %}{% if user.active %}{{ user.name }}{% else %}{{ guest }}{{ missing }}{% endif %}{% for item in items %}{{ forloop.counter }}{{ item.label }}{% endfor %}{{ later }}",
+        "header": "<h1>{{ title }}</h1>"
+    }, {
+        debug: true
+    });
+
+    var guestEvaluations = 0;
+    var signals = [];
+    var warnings = [];
+
+    var receiver = function(sender, kwargs){
+        if (sender.engine === engine) signals.push(kwargs.templateName);
+    };
+    var log = console.log;
+
+    var delayed = function(value){
+        return new Promise(function(resolve){ setTimeout(function(){ resolve(value) }, 0) });
+    };
+
+    var context = {
+        "title": delayed("Title"),
+        "user": delayed({"active": delayed(true), "name": "Ann"}),
+        "guest": {toString: function(){ guestEvaluations++; return "guest" }},
+        "items": delayed([{"label": delayed("a")}, {"label": "b"}]),
+        "later": delayed("end")
+    };
+
+    DjangoTemplateEngine.templateRendered.connect(receiver);
+    console.log = function(message){ warnings.push(message) };
+
+    return engine.renderToStringAsync("page", context).then(function(output){
+        assert.equal( output, "<h1>Title</h1>Ann1a2bend" );
+
+        // The signals are sent and the branches are evaluated once
+        assert.deepEqual( signals, ["page", "header"] );
+        assert.equal( guestEvaluations, 0 );
+
+        // No warning for the values not settled yet
+        assert.deepEqual( warnings, [] );
+
+        return engine.renderToStringAsync("page", {"title": "", "user": delayed({"active": false}), "guest": context.guest, "items": [], "later": ""});
+    }).then(function(output){
+        assert.equal( output, "<h1></h1>guest" );
+        assert.equal( guestEvaluations, 1 );
+        assert.deepEqual( warnings, ["WARNING Missing variable 'missing'"] );
+    }).finally(function(){
+        console.log = log;
+        DjangoTemplateEngine.templateRendered.disconnect(receiver);
+    });
+});
+
+QUnit.test( "Asynchronous filters and tags", function( assert ) {
+    var library = DjangoTemplateEngine.createTemplateLibrary();
+    var filterCalls = 0;
+    var bundle = {"hello": "hola", "bye": "adiós"};
+
+    library.asyncFilter('translate', function(value){
+        filterCalls++;
+        return Promise.resolve(bundle[value] || value);
+    });
+    library.asyncFilter(function shout(value, suffix){
+        return Promise.resolve(value.toUpperCase() + (suffix || ''));
+    }, {is_safe: true});
+    library.asyncSimpleTag(function count_items(store){
+        return Promise.resolve(store + ": <3>");
+    });
+    library.asyncSimpleTag('user_name', function(context, id){
+        return Promise.resolve(context.get('prefix') + id);
+    }, true);
+    library.inclusionTag('item_list', function show_items(items){
+        return Promise.resolve({"items": items});
+    });
+    library.inclusionTag('item_list', function show_sync_items(items){
+        return {"items": items};
+    });
+
+    var engine = new DjangoTemplateEngine({
+        "page": "{% load async_lib %}{% for word in words %}{{ word|translate }} {% endfor %}{{ 'hi'|shout:'!' }} {% count_items 'db' %} {% count_items 'db' as total %}{{ total }} {% user_name 7 %} {% show_items words %}",
+        "item_list": "[{% for item in items %}{{ item }}{% endfor %}]",
+        "sync": "{% load async_lib %}{% show_sync_items words %}",
+        "async_filter": "{% load async_lib %}{{ 'hello'|translate }}",
+        "async_tag": "{% load async_lib %}{% count_items 'db' %}",
+        "async_inclusion": "{% load async_lib %}{% show_items words %}"
+    }, {
+        libraries: {"async_lib": library}
+    });
+
+    var context = {"words": ["hello", "bye", "hello"], "prefix": "user"};
+
+    assert.equal( engine.renderToString("sync", context), "[hellobyehello]" );
+
+    assert.throws( function(){
+        engine.renderToString("async_filter");
+    }, /The filter 'translate' is asynchronous: render the template with renderToStringAsync\(\) or renderAsync\(\)/ );
+    assert.throws( function(){
+        engine.renderToString("async_tag");
+    }, /The tag 'count_items' is asynchronous/ );
+    assert.throws( function(){
+        engine.renderToString("async_inclusion", context);
+    }, /The tag 'show_items' is asynchronous/ );
+
+    return engine.renderToStringAsync("page", context).then(function(output){
+        assert.equal( output, "hola adiós hola HI! db: &lt;3&gt; db: &lt;3&gt; user7 [hellobyehello]" );
+        // The filter is called once for each different argument
+        assert.equal( filterCalls, 2 );
+    });
+});
+
+QUnit.test( "Streaming rendering", function( assert ) {
+    var evaluated = [];
+    var item = function(name){
+        return {name: function(){ evaluated.push(name); return name }};
+    };
+
+    var engine = new DjangoTemplateEngine({
+        "base": "<head>{% block head %}<title>{{ title }}</title>{% endblock %}</head><body>{% block body %}{% endblock %}</body>",
+        "page": "{% extends 'base' %}{% block head %}{{ block.super }}<meta>{% endblock %}{% block body %}{% for item in items %}{% include 'row' %}{% empty %}none{% endfor %}{% with total=items|length %}{% if total > 1 %}{{ total }} items{% endif %}{% endwith %}{% autoescape off %}{{ html }}{% endautoescape %}{% endblock %}",
+        "row": "<p>{{ forloop.counter }} {{ item.name }}</p>"
+    });
+
+    var context = {"title": "A & B", "html": "<br>", "items": [item("first"), item("second")]};
+    var expected = "<head><title>A &amp; B</title><meta></head><body><p>1 first</p><p>2 second</p>2 items<br></body>";
+
+    assert.equal( engine.renderToString("page", context), expected );
+    evaluated = [];
+
+    var chunks = engine.renderToStream("page", context);
+
+    // The head is yielded before the rows are rendered
+    var head = [];
+    var next;
+    while (!(next = chunks.next()).done && next.value.indexOf("<p>") === -1){
+        head.push(next.value);
+    }
+    assert.equal( head.join(""), "<head><title>A &amp; B</title><meta></head><body>" );
+    assert.deepEqual( evaluated.slice(), [] );
+
+    var rest = [next.value];
+    for (var chunk of chunks) rest.push(chunk);
+
+    assert.equal( head.join("") + rest.join(""), expected );
+    assert.deepEqual( evaluated.slice(), ["first", "second"] );
+
+    // Empty chunks are not yielded
+    assert.deepEqual( Array.from(engine.getTemplateFromString("{% if a %}{{ a }}{% endif %}b").renderStream(new DjangoTemplateEngine.Context({}))), ["b"] );
+    assert.equal( Array.from(engine.renderToStream("page", {"items": []})).join(""), "<head><title></title><meta></head><body>none</body>" );
+
+    // Stopping the generator restores the context
+    var streamContext = new DjangoTemplateEngine.Context({"items": [item("a"), item("b")]});
+    var contextSize = streamContext.dicts.length;
+    var stopped = engine.getTemplate("page").renderStream(streamContext);
+    stopped.next();
+    stopped.return();
+    assert.equal( streamContext.dicts.length, contextSize );
+    assert.strictEqual( streamContext.template, null );
+
+    // In a loop of an included template, in a block of the parent template
+    stopped = engine.getTemplate("page").renderStream(streamContext);
+    while (stopped.next().value.indexOf("<p>") === -1);
+    stopped.return();
+    assert.equal( streamContext.dicts.length, contextSize );
+    assert.strictEqual( streamContext.renderContext.limits, null );
+    assert.equal( engine.getTemplate("page").render(streamContext), "<head><title></title><meta></head><body><p>1 a</p><p>2 b</p>2 items</body>" );
+
+    if (typeof ReadableStream === 'undefined') return;
+
+    var reader = engine.renderToReadableStream("page", context).getReader();
+    var read = [];
+    var readAll = function(){
+        return reader.read().then(function(result){
+            if (result.done) return read.join("");
+            read.push(result.value);
+            return readAll();
+        });
+    };
+
+    return readAll().then(function(output){
+        assert.equal( output, expected );
+    });
+});
+
+QUnit.test( "Render limits", function( assert ) {
+    var engine = new DjangoTemplateEngine({
+        "list": "<ul>\n{% for item in items %}<li>{{ item }}</li>{% endfor %}</ul>",
+        "grid": "{% for row in rows %}{% for cell in row %}{{ cell }}{% endfor %}{% endfor %}",
+        "recursive": "{% if node.child %}{% with node=node.child %}{% include 'recursive' %}{% endwith %}{% endif %}.",
+        "child": "{% extends 'base' %}{% block content %}child{% endblock %}",
+        "base": "{% block content %}{% endblock %}{% include 'footer' %}",
+        "footer": " footer"
+    }, {
+        max_loop_iterations: 10,
+        max_output_size: 100,
+        max_render_depth: 3
+    });
+
+    var range = function(n){
+        return Array.from({length: n}, function(_, i){ return i });
+    };
+    var nested = function(depth){
+        return {"child": depth === 0 ? null : nested(depth - 1)};
+    };
+
+    assert.equal( engine.renderToString("list", {"items": range(3)}), "<ul>\n<li>0</li><li>1</li><li>2</li></ul>" );
+    assert.equal( engine.renderToString("recursive", {"node": nested(3)}), "...." );
+    assert.equal( engine.renderToString("child"), "child footer" );
+
+    // The loop iterations of a rendering are counted together
+    assert.throws(function(){
+        engine.renderToString("grid", {"rows": [range(5), range(5)]});
+    }, function(e){
+        return e instanceof DjangoTemplateEngine.TemplateRenderLimitError && e.limit === "max_loop_iterations" && e.templateName === "grid" && e.message === "Render limit max_loop_iterations exceeded: more than 10 loop iterations, in template 'grid', at {% for cell in row %} (line 1)";
+    });
+
+    assert.throws(function(){
+        engine.renderToString("list", {"items": ["a long item of the list", "a long item of the list", "a long item of the list", "a long item of the list"]});
+    }, function(e){
+        return e instanceof DjangoTemplateEngine.TemplateRenderLimitError && e.limit === "max_output_size" && e.templateName === "list" && e.node.token.lineno === 2;
+    });
+
+    assert.throws(function(){
+        engine.renderToString("recursive", {"node": nested(4)});
+    }, function(e){
+        return e.limit === "max_render_depth" && e.templateName === "recursive" && e.node.token.contents.indexOf("include") === 0;
+    });
+
+    assert.throws(function(){
+        engine.extend({max_render_depth: 1}).renderToString("child");
+    }, function(e){
+        return e.limit === "max_render_depth" && e.templateName === "base" && e.message.indexOf("{% include 'footer' %}") !== -1;
+    });
+
+    // Streams have the same limits
+    assert.throws(function(){
+        Array.from(engine.renderToStream("grid", {"rows": [range(6), range(6)]}));
+    }, DjangoTemplateEngine.TemplateRenderLimitError);
+
+    assert.throws(function(){
+        Array.from(engine.extend({max_loop_iterations: null}).renderToStream("list", {"items": range(30)}));
+    }, /max_output_size/);
+
+    // The output of the nodes is counted as it is rendered, not once the loops are rendered
+    var cells = 0;
+    var cell = {get value(){
+        cells++;
+        return "cell";
+    }};
+    var rows = range(10).map(function(){ return range(10).map(function(){ return cell }) });
+
+    assert.throws(function(){
+        engine.extend({max_loop_iterations: null}).renderTemplateString("{% for row in rows %}{% for cell in row %}{{ cell.value }}{% endfor %}{% endfor %}", {"rows": rows});
+    }, function(e){
+        return e.limit === "max_output_size" && e.node.token.contents === "cell.value";
+    });
+    assert.equal( cells, 26 );
+
+    cells = 0;
+    assert.throws(function(){
+        Array.from(engine.extend({max_loop_iterations: null}).renderToStream("grid", {"rows": rows.map(function(row){ return row.map(function(c){ return {toString: function(){ return c.value }} }) })}));
+    }, /max_output_size/);
+    assert.equal( cells, 26 );
+
+    // A limit set to null is disabled
+    var unlimited = engine.extend({max_loop_iterations: null, max_output_size: null});
+    assert.equal( unlimited.renderToString("grid", {"rows": [range(10), range(10)]}).length, 20 );
+
+    // Each item takes 5 ms of a fake clock
+    var now = Date.now;
+    var time = 0;
+    var slowItem = {get value(){
+        time += 5;
+        return "slow";
+    }};
+
+    Date.now = function(){ return time };
+    try {
+        assert.throws(function(){
+            unlimited.extend({render_timeout: 20}).renderTemplateString("{% for item in items %}{{ item.value }}{% endfor %}", {"items": range(20).map(function(){ return slowItem })});
+        }, function(e){
+            return e.limit === "render_timeout" && e.node.token.contents === "for item in items";
+        });
+    } finally {
+        Date.now = now;
+    }
+    assert.equal( time, 25 );
+
+    if (typeof AbortController === 'undefined') return;
+
+    var aborted = new AbortController();
+    aborted.abort();
+
+    assert.throws(function(){
+        engine.renderToString("list", {"items": range(3)}, null, {signal: aborted.signal});
+    }, function(e){
+        return e === aborted.signal.reason;
+    });
+
+    var controller = new AbortController();
+    var items = new Promise(function(resolve){
+        setTimeout(function(){ resolve(range(3)) }, 1000);
+    });
+
+    var rendering = engine.renderToStringAsync("list", {"items": items}, null, {signal: controller.signal}).then(function(){
+        assert.ok( false, "The rendering should be aborted" );
+    }, function(e){
+        assert.strictEqual( e, controller.signal.reason );
+    });
+    controller.abort();
+
+    var timeout = engine.extend({render_timeout: 20}).renderToStringAsync("list", {"items": items}).then(function(){
+        assert.ok( false, "The rendering should time out" );
+    }, function(e){
+        assert.equal( e.limit, "render_timeout" );
+    });
+
+    return Promise.all([rendering, timeout]);
+});
+
+QUnit.test( "Compiled templates", function( assert ) {
+    var library = DjangoTemplateEngine.createTemplateLibrary();
+    library.filter('shout', function(value, arg){ return value.toUpperCase() + (arg || '!') });
+    library.simpleTag(function greeting(name){ return 'Hello <' + name + '>' });
+
+    var sources = {
+        "base": "<title>{% block title %}Base{% endblock %}</title>{% block content %}{% endblock %}{% include 'footer' %}",
+        "footer": "{# footer #}<footer>{{ year|default:'now' }}</footer>",
+        "page": "{% extends 'base' %}{% load shouts %}{% block content %}<ul>{% for item in items %}<li class=\"{% cycle 'odd' 'even' %}\">{{ forloop.counter }}. {{ item.name|shout }} {{ item.name|shout:suffix }} {{ item.price|floatformat:2 }}{% if item.tags %} {{ item.tags|join:', ' }}{% elif item.price > 10 %} expensive{% else %} -{% endif %}{% greeting item.name %}</li>{% empty %}<li>No items</li>{% endfor %}</ul>{% with total=items|length %}{{ total }} item{{ total|pluralize }}{% endwith %}{% endblock %}",
+        "variables": "{{ html }}|{{ html|safe }}|{% autoescape off %}{{ html }}{% endautoescape %}|{{ missing }}|{{ missing.attr|default:'x' }}|{{ user.name.upper }}|{{ user.missing }}|{{ 'literal'|upper }}|{{ 42 }}|{{ pairs.0.1 }}",
+        "pairs": "{% for key, value in pairs %}{{ key }}={{ value }}{% if not forloop.last %}&{% endif %}{% endfor %}{% for x in items %}{{ x.name }}{% endfor %}",
+        "sparse": "{% for x in sparse %}[{{ x }}]{% endfor %}{% for x in sparse reversed %}[{{ forloop.counter }}:{{ x }}{% if forloop.last %}!{% endif %}]{% endfor %}"
+    };
+
+    var context = {
+        "items": [{"name": "a & b", "price": 12.5, "tags": ["x", "<y>"]}, {"name": "c", "price": 2}, {"name": "d", "price": 20}],
+        "suffix": "?",
+        "html": "<b>bold</b>",
+        "user": {"name": "joe"},
+        "pairs": [["a", 1], ["b", 2]],
+        "year": 2024
+    };
+
+    var interpreted = new DjangoTemplateEngine(sources, {libraries: {"shouts": library}, compile_templates: false});
+    var compiled = new DjangoTemplateEngine(sources, {libraries: {"shouts": library}, compile_templates: true});
+
+    ["page", "variables", "pairs"].forEach(function(name){
+        assert.equal( compiled.renderToString(name, context), interpreted.renderToString(name, context), name );
+    });
+    assert.equal( compiled.renderToString("page", {"items": []}), interpreted.renderToString("page", {"items": []}) );
+
+    // The holes of sparse lists are skipped by both
+    assert.equal( compiled.renderToString("sparse", {"sparse": [1, , 3]}), "[1][3][1:3][3:1!]" );
+    assert.equal( interpreted.renderToString("sparse", {"sparse": [1, , 3]}), "[1][3][1:3][3:1!]" );
+
+    assert.equal( typeof compiled.getTemplate("page").nodelist.compiled, "function" );
+    assert.strictEqual( interpreted.getTemplate("page").nodelist.compiled, null );
+
+    // The settings of the engine are read when rendering
+    var invalid = compiled.extend({string_if_invalid: "INVALID(%s)"});
+    assert.equal( invalid.renderToString("variables", context), interpreted.extend({string_if_invalid: "INVALID(%s)"}).renderToString("variables", context) );
+    assert.equal( compiled.extend({compile_templates: false}).renderToString("pairs", context), "a=1&b=2a &amp; bcd" );
+
+    // Errors are annotated like the interpreter does
+    var debugEngine = compiled.extend({debug: true});
+    assert.throws(function(){
+        debugEngine.renderTemplateString("{% for item in items %}\n{{ item.name.missing.attr }}{% endfor %}", {"items": [{"name": null}]});
+    }, function(e){
+        return e.template_debug.during === "{{ item.name.missing.attr }}" && e.template_debug.line === 2;
+    });
+
+    assert.throws(function(){
+        compiled.extend({max_loop_iterations: 2}).renderToString("page", context);
+    }, /max_loop_iterations/);
+
+    // The context is restored when a loop or a with tag throws, like the interpreter does
+    [compiled, interpreted].forEach(function(engine){
+        var reused = new DjangoTemplateEngine.Context({"pairs": [["a", "b"], ["c", 1]]});
+        var size = reused.dicts.length;
+
+        assert.throws(function(){
+            engine.getTemplateFromString("{% load shouts %}{% for x, y in pairs %}{% with z=x %}{% autoescape off %}{{ y|shout }}{% endautoescape %}{% endwith %}{% endfor %}").render(reused);
+        }, TypeError);
+        assert.equal( reused.dicts.length, size );
+        assert.strictEqual( reused.autoescape, true );
+        assert.equal( engine.getTemplateFromString("{{ forloop.counter }}{{ x }}{{ z }}").render(reused), "" );
+    });
+
+    // The templates are interpreted if the content security policy forbids
+    // creating functions, but the errors of the compiler are thrown
+    var oldFunction = Function;
+    try {
+        Function = function(){ throw new EvalError("Refused to evaluate a string as JavaScript") };
+        assert.equal( compiled.renderTemplateString("{{ a }}!", {"a": 1}), "1!" );
+
+        Function = function(){ throw new TypeError("Bug of the compiler") };
+        assert.throws(function(){
+            compiled.renderTemplateString("{{ a }}?", {"a": 1});
+        }, TypeError);
+    } finally {
+        Function = oldFunction;
+    }
+
+    return compiled.renderToStringAsync("pairs", {"pairs": Promise.resolve([["c", Promise.resolve(3)]]), "items": []}).then(function(output){
+        assert.equal( output, "c=3" );
+    });
+});
+
+QUnit.test( "Precompiled templates", function( assert ) {
+    var library = DjangoTemplateEngine.createTemplateLibrary();
+    library.filter('shout', function(value){ return value.toUpperCase() + '!' });
+
+    var sources = {
+        "base": "{% block title %}Base{% endblock %}|{% block content %}{% endblock %}",
+        "page": "{% extends 'base' %}{% load shouts %}{% block content %}{% for item in items %}{{ item|shout }}{% include 'item' %}{% endfor %}{% endblock %}",
+        "item": "[{{ item }}]"
+    };
+    var context = {"items": ["x", "y"]};
+
+    var precompiler = new DjangoTemplateEngine({}, {libraries: {"shouts": library}});
+    var bundle = JSON.parse(JSON.stringify(precompiler.precompileTemplates(sources)));
+    assert.deepEqual( Object.keys(bundle.templates), ["base", "page", "item"] );
+    assert.equal( bundle.debug, false );
+    assert.equal( bundle.templates["page"].source, undefined );
+
+    // The engine renders the templates without their sources
+    var engine = new DjangoTemplateEngine({}, {libraries: {"shouts": library}});
+    assert.deepEqual( engine.addPrecompiledTemplates(bundle), ["base", "page", "item"] );
+    assert.ok( engine.templateLoaders[0] instanceof DjangoTemplateEngine.PrecompiledLoader );
+    assert.equal( engine.renderToString("page", context), "Base|X![x]Y![y]" );
+    assert.equal( engine.getTemplate("item").origin.loader, engine.templateLoaders[0] );
+
+    // Precompiled templates come first and replace the compiled templates
+    engine = new DjangoTemplateEngine({"item": "({{ item }})"}, {libraries: {"shouts": library}});
+    assert.equal( engine.renderToString("item", {"item": "z"}), "(z)" );
+    engine.addPrecompiledTemplates(bundle);
+    assert.equal( engine.renderToString("item", {"item": "z"}), "[z]" );
+    engine.addPrecompiledTemplates(precompiler.precompileTemplates({"other": "other"}));
+    assert.equal( engine.templateLoaders.filter(function(loader){
+        return loader instanceof DjangoTemplateEngine.PrecompiledLoader;
+    }).length, 1 );
+    assert.equal( engine.renderToString("other") + engine.renderToString("item", {"item": "z"}), "other[z]" );
+
+    // The templates added to a child engine are not found by its parent
+    var parentEngine = new DjangoTemplateEngine({"item": "({{ item }})"}, {libraries: {"shouts": library}});
+    assert.equal( parentEngine.renderToString("item", {"item": "p"}), "(p)" );
+
+    var childEngine = parentEngine.extend({});
+    childEngine.addPrecompiledTemplates(bundle);
+    assert.equal( childEngine.renderToString("item", {"item": "c"}), "[c]" );
+    assert.equal( parentEngine.renderToString("item", {"item": "p"}), "(p)" );
+    assert.notStrictEqual( childEngine.templateLoaders, parentEngine.templateLoaders );
+    assert.equal( parentEngine.templateLoaders.length, 1 );
+
+    parentEngine.addPrecompiledTemplates(precompiler.precompileTemplates({"other": "other"}));
+    childEngine = parentEngine.extend({});
+    childEngine.addPrecompiledTemplates(bundle);
+    assert.equal( childEngine.renderToString("other") + childEngine.renderToString("item", {"item": "c"}), "other[c]" );
+    assert.equal( parentEngine.renderToString("other") + parentEngine.renderToString("item", {"item": "p"}), "other(p)" );
+    assert.throws( function(){ parentEngine.getTemplate("page") }, DjangoTemplateEngine.TemplateDoesNotExistError );
+
+    // The libraries must be registered with the same names
+    engine = new DjangoTemplateEngine();
+    engine.addPrecompiledTemplates(bundle);
+    assert.throws( function(){ engine.getTemplate("page") }, DjangoTemplateEngine.TemplateSerializationError );
+
+    assert.throws( function(){
+        engine.addPrecompiledTemplates({"version": 0, "templates": {}});
+    }, DjangoTemplateEngine.TemplateSerializationError );
+
+    // Debug mode needs templates precompiled in debug mode, with their sources
+    assert.throws( function(){
+        new DjangoTemplateEngine({}, {debug: true}).addPrecompiledTemplates(bundle);
+    }, /not precompiled in debug mode/ );
+
+    var debugBundle = new DjangoTemplateEngine({}, {debug: true}).precompileTemplates({"broken": "a\n{% include 'missing' %}"});
+    assert.equal( debugBundle.templates["broken"].source, "a\n{% include 'missing' %}" );
+
+    engine = new DjangoTemplateEngine({}, {debug: true});
+    engine.addPrecompiledTemplates(debugBundle);
+    assert.throws( function(){ engine.renderToString("broken") }, function(e){
+        return e.template_debug.during === "{% include 'missing' %}" && e.template_debug.line === 2;
+    });
+
+    assert.throws( function(){
+        precompiler.precompileTemplates({"invalid": "{% if x %}"});
+    }, DjangoTemplateEngine.TemplateSyntaxError );
+});
+
+QUnit.test( "HTTP loader", function( assert ) {
+    var templates = {
+        "base.html": "<h1>{% block title %}{% endblock %}</h1>",
+        "page.html": "{% extends 'base.html' %}{% block title %}{{ title }}{% include item_template %}{% endblock %}",
+        "item.html": " and item"
+    };
+    var fakeFetch = createFakeFetch(templates);
+
+    var engine = new DjangoTemplateEngine(null, {
+        loaders: [new DjangoTemplateEngine.HttpLoader('/templates/', {fetch: fakeFetch})]
+    });
+
+    assert.throws( function(){
+        engine.renderToString("page.html");
+    }, DjangoTemplateEngine.TemplateDoesNotExistError );
+
+    return engine.renderToStringAsync("page.html", {"title": "Page", "item_template": "item.html"}).then(function(rendered_template){
+        assert.equal( rendered_template, "<h1>Page and item</h1>" );
+        assert.deepEqual( fakeFetch.requests.map(function(request){ return request.url }), ["/templates/page.html", "/templates/base.html", "/templates/item.html"] );
+
+        // The fetched templates are available to synchronous lookups
+        assert.equal( engine.renderToString("page.html", {"title": "Sync", "item_template": "item.html"}), "<h1>Sync and item</h1>" );
+
+        var template = engine.getTemplate("page.html");
+        fakeFetch.requests = [];
+
+        return engine.getTemplateAsync("page.html").then(function(revalidatedTemplate){
+            assert.strictEqual( revalidatedTemplate, template );
+            assert.equal( fakeFetch.requests[0].headers['If-None-Match'], '"' + templates["page.html"].length + '"' );
+
+            templates["page.html"] = "Changed {{ title }}";
+            return engine.renderToStringAsync("page.html", {"title": "page"});
+        });
+    }).then(function(rendered_template){
+        assert.equal( rendered_template, "Changed page" );
+
+        return engine.getTemplateAsync("missing.html").then(function(){
+            assert.ok( false, "Missing template was found" );
+        }, function(e){
+            assert.ok( e instanceof DjangoTemplateEngine.TemplateDoesNotExistError );
+        });
+    }).then(function(){
+        // A 304 for a template that is not cached, sent by the HTTP cache of
+        // the browser after a reset, is fetched again bypassing the HTTP cache
+        var browserFetch = function(url, init){
+            browserFetch.inits.push(init);
+            if (init.cache !== 'reload') return Promise.resolve({ok: false, status: 304});
+            return fakeFetch(url, init);
+        };
+        browserFetch.inits = [];
+
+        engine = new DjangoTemplateEngine(null, {
+            loaders: [new DjangoTemplateEngine.HttpLoader('/templates/', {fetch: browserFetch})]
+        });
+        engine.resetLoaders();
+
+        return engine.renderToStringAsync("item.html").then(function(rendered_template){
+            assert.equal( rendered_template, " and item" );
+            assert.deepEqual( browserFetch.inits.map(function(init){ return init.cache }), [undefined, 'reload'] );
+            assert.strictEqual( browserFetch.inits[1].headers['If-None-Match'], undefined );
+        });
+    }).then(function(){
+        // Within maxAge, the templates are not revalidated
+        var now = Date.now;
+        var time = 1000;
+        Date.now = function(){ return time };
+
+        engine = new DjangoTemplateEngine(null, {
+            loaders: [new DjangoTemplateEngine.HttpLoader('/templates/', {fetch: fakeFetch, maxAge: 5000})]
+        });
+        fakeFetch.requests = [];
+
+        var render = function(){
+            return engine.renderToStringAsync("page.html", {"title": "Page"});
+        };
+
+        return render().then(function(){
+            assert.equal( fakeFetch.requests.length, 1 );
+            fakeFetch.requests = [];
+            time += 4000;
+            return render();
+        }).then(function(){
+            assert.equal( fakeFetch.requests.length, 0 );
+            time += 2000;
+            return render();
+        }).then(function(){
+            assert.deepEqual( fakeFetch.requests.map(function(request){ return request.url }), ["/templates/page.html"] );
+            assert.ok( fakeFetch.requests[0].headers['If-None-Match'] );
+        }).finally(function(){
+            Date.now = now;
+        });
+    });
+});
+
+QUnit.test( "Lists of template names with asynchronous loaders", function( assert ) {
+    var templates = {
+        "themes/dark/item.html": "dark {{ item }}",
+        "themes/dark/base.html": "<dark>{% block content %}{% endblock %}</dark>"
+    };
+    var fakeFetch = createFakeFetch(templates);
+
+    var engine = new DjangoTemplateEngine({
+        "item.html": "default {{ item }}",
+        "base.html": "<default>{% block content %}{% endblock %}</default>",
+        "page.html": "{% extends bases %}{% block content %}{% for item in items %}{% include item_templates %} {% endfor %}{% endblock %}"
+    }, {
+        loaders: [new DjangoTemplateEngine.HttpLoader('/templates/', {fetch: fakeFetch})]
+    });
+
+    var context = {
+        "items": [1, 2],
+        "bases": ["themes/dark/base.html", "base.html"],
+        "item_templates": ["themes/dark/item.html", "item.html"]
+    };
+
+    // Without fetching, the synchronous rendering finds the later names
+    assert.equal( engine.renderToString("page.html", context), "<default>default 1 default 2 </default>" );
+
+    return engine.renderToStringAsync("page.html", context).then(function(output){
+        // The names are tried in order, waiting for the templates fetched
+        assert.equal( output, "<dark>dark 1 dark 2 </dark>" );
+        assert.deepEqual( fakeFetch.requests.map(function(request){ return request.url }).sort(), ["/templates/themes/dark/base.html", "/templates/themes/dark/item.html"] );
+
+        fakeFetch.requests = [];
+        context["item_templates"] = ["themes/light/item.html", "item.html"];
+
+        return engine.renderToStringAsync("page.html", context);
+    }).then(function(output){
+        // A missing template is fetched once by a rendering
+        assert.equal( output, "<dark>default 1 default 2 </dark>" );
+        assert.equal( fakeFetch.requests.filter(function(request){ return request.url === "/templates/themes/light/item.html" }).length, 1 );
+    });
+});
+
+if (typeof document !== 'undefined') {
+    QUnit.test( "DOM loader", function( assert ) {
+        var fixture = document.getElementById('qunit-fixture');
+        fixture.innerHTML = '<script type="text/x-django-template" data-name="item.html">[{{ item }}]</script>' +
+            '<template id="list">{% for item in items %}{% include "item.html" %}{% endfor %}</template>' +
+            '<div id="not_a_template">{{ items }}</div>';
+
+        var engine = new DjangoTemplateEngine(null, {
+            loaders: [new DjangoTemplateEngine.DomLoader(fixture)]
+        });
+
+        assert.equal( engine.renderToString("list", {"items": [1, 2]}), "[1][2]" );
+        assert.equal( engine.getTemplate("list").origin.name, "#list" );
+
+        assert.throws( function(){
+            engine.getTemplate("not_a_template");
+        }, DjangoTemplateEngine.TemplateDoesNotExistError );
+
+        // The content of <template> elements is parsed as HTML: the
+        // characters escaped by innerHTML are restored in the template tags
+        fixture.innerHTML = '<template id="compare"><b title=\'{% if a > b %}{{ a|stringformat:"d" }} big{% endif %}\'>{% if a > b %}{{ a }} &gt; {{ b }}{% else %}&amp; &lt;b&gt;{% endif %}</b> & more</template>';
+        engine.resetLoaders();
+
+        assert.equal( engine.getTemplate("compare").source, '<b title="{% if a > b %}{{ a|stringformat:"d" }} big{% endif %}">{% if a > b %}{{ a }} &gt; {{ b }}{% else %}&amp; &lt;b&gt;{% endif %}</b> &amp; more' );
+        assert.equal( engine.renderToString("compare", {"a": 2, "b": 1}), '<b title="2 big">2 &gt; 1</b> &amp; more' );
+        assert.equal( engine.renderToString("compare", {"a": 1, "b": 2}), '<b title="">&amp; &lt;b&gt;</b> &amp; more' );
+    });
+}
+
+if (typeof require === 'function' && typeof __dirname === 'string') {
+    QUnit.test( "Universal module and ES module entry", function( assert ) {
+        var fs = require('fs');
+        var path = require('path');
+        var url = require('url');
+        var vm = require('vm');
+        var childProcess = require('child_process');
+
+        var enginePath = path.join(__dirname, '..', 'django_template_engine.js');
+        var source = fs.readFileSync(enginePath, 'utf8');
+
+        var render = function(engine){
+            return engine.renderTemplate("{{ name|upper }}", {"name": "umd"});
+        }
+
+        // CommonJS
+        var commonjs = {module: {exports: {}}};
+        vm.runInNewContext(source, commonjs);
+        assert.equal( render(commonjs.module.exports), "UMD" );
+
+        // AMD
+        var defined = [];
+        var define = function(dependencies, factory){
+            defined.push({dependencies: dependencies, module: factory()});
+        }
+        define.amd = {};
+
+        var amd = {define: define};
+        vm.runInNewContext(source, amd);
+        assert.equal( defined.length, 1 );
+        assert.deepEqual( defined[0].dependencies, [] );
+        assert.equal( render(defined[0].module), "UMD" );
+        assert.strictEqual( amd.DjangoTemplateEngine, undefined );
+
+        // Browser global
+        var browser = {};
+        vm.runInNewContext(source, browser);
+        assert.equal( render(browser.DjangoTemplateEngine), "UMD" );
+
+        // ES module, imported by another Node.js process
+        var moduleUrl = url.pathToFileURL(path.join(__dirname, '..', 'django_template_engine.mjs')).href;
+        var output = childProcess.execFileSync(process.execPath, [
+            '--input-type=module',
+            '-e', "import DjangoTemplateEngine from " + JSON.stringify(moduleUrl) + ";\n" +
+                "process.stdout.write(DjangoTemplateEngine.renderTemplate('{{ name|upper }}', {name: 'esm'}));"
+        ], {encoding: 'utf8'});
+        assert.equal( output, "ESM" );
+    });
+}
+
+if (typeof require === 'function') {
+    QUnit.test( "Filesystem and app directories loaders", function( assert ) {
+        var fs = require('fs');
+        var os = require('os');
+        var path = require('path');
+
+        var rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'django-template-engine-'));
+        var templatesDir = path.join(rootDir, 'templates');
+        var appTemplatesDir = path.join(rootDir, 'blog', 'templates', 'blog');
+
+        fs.mkdirSync(templatesDir);
+        fs.mkdirSync(appTemplatesDir, {recursive: true});
+
+        fs.writeFileSync(path.join(rootDir, 'secret.html'), "secret");
+        fs.writeFileSync(path.join(templatesDir, 'base.html'), "<h1>{% block title %}{% endblock %}</h1>{% include 'blog/footer.html' %}");
+        fs.writeFileSync(path.join(appTemplatesDir, 'post.html'), "{% extends 'base.html' %}{% block title %}{{ title }}{% endblock %}");
+        fs.writeFileSync(path.join(appTemplatesDir, 'footer.html'), "<footer>blog</footer>");
+
+        var engine = new DjangoTemplateEngine(null, {
+            loaders: [
+                new DjangoTemplateEngine.FileSystemLoader([templatesDir]),
+                new DjangoTemplateEngine.AppDirectoriesLoader([path.join(rootDir, 'blog')])
+            ]
+        });
+
+        try {
+            assert.equal( engine.renderToString("blog/post.html", {"title": "Post"}), "<h1>Post</h1><footer>blog</footer>" );
+            assert.equal( engine.getTemplate("base.html").origin.name, path.join(templatesDir, 'base.html') );
+
+            assert.throws( function(){
+                engine.getTemplate("../secret.html");
+            }, DjangoTemplateEngine.TemplateDoesNotExistError );
+        } finally {
+            fs.rmSync(rootDir, {recursive: true, force: true});
+        }
+    });
+}
+
+if (typeof require === 'function' && typeof __dirname === 'string') {
+    QUnit.test( "Precompiler command line", function( assert ) {
+        var fs = require('fs');
+        var os = require('os');
+        var path = require('path');
+
+        var precompiler = require(path.join(__dirname, '..', 'django_template_precompile.js'));
+        var Engine = require(path.join(__dirname, '..', 'django_template_engine.js'));
+
+        assert.propEqual( precompiler.parseArguments(["-o", "templates.js", "--format", "commonjs", "-e", "html", "--extension", ".txt", "-l", "blog=blog_tags.js", "-r", "runtime.js", "-d", "templates"]), {
+            directory: "templates",
+            output: "templates.js",
+            format: "commonjs",
+            extensions: [".html", ".txt"],
+            libraries: {"blog": "blog_tags.js"},
+            runtime: "runtime.js",
+            debug: true,
+            help: false
+        });
+        assert.equal( precompiler.parseArguments(["--help"]).help, true );
+
+        // UsageError inherits Error.prototype.toString()
+        assert.throws(function(){
+            precompiler.parseArguments([]);
+        }, function(e){
+            return e instanceof precompiler.UsageError && String(e) === "UsageError: Missing templates directory";
+        });
+
+        [["-f", "amd", "templates"], ["-o"], ["-l", "blog", "templates"], ["--verbose", "templates"], ["a", "b"]].forEach(function(args){
+            assert.throws(function(){
+                precompiler.parseArguments(args);
+            }, precompiler.UsageError, args.join(" "));
+        });
+
+        var rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'django-template-precompile-'));
+        var templatesDir = path.join(rootDir, 'templates');
+        var output = path.join(rootDir, 'templates.js');
+        var runtime = path.join(rootDir, 'runtime.js');
+
+        fs.mkdirSync(path.join(templatesDir, 'blog'), {recursive: true});
+        fs.mkdirSync(path.join(templatesDir, '.cache'));
+        fs.writeFileSync(path.join(templatesDir, 'base.html'), "<h1>{% block title %}{% endblock %}</h1>");
+        fs.writeFileSync(path.join(templatesDir, 'blog', 'post.html'), "{% extends 'base.html' %}\n{% block title %}\n  {{ title|titel }}{% endblock %}");
+        fs.writeFileSync(path.join(templatesDir, 'notes.txt'), "notes");
+        fs.writeFileSync(path.join(templatesDir, '.cache', 'base.html'), "cache");
+
+        // The messages written by main() are collected
+        var stderr = [];
+        var write = process.stderr.write;
+
+        try {
+            assert.deepEqual( precompiler.findTemplateFiles(templatesDir, []), ["base.html", "blog/post.html", "notes.txt"] );
+            assert.deepEqual( precompiler.findTemplateFiles(templatesDir, [".html"]), ["base.html", "blog/post.html"] );
+
+            process.stderr.write = function(chunk){
+                stderr.push(chunk);
+                return true;
+            };
+
+            // Syntax errors are reported as file:line:column and no module is written
+            assert.equal( precompiler.main(["-e", ".html", "-o", output, templatesDir]), 1 );
+            assert.equal( stderr.join(""), path.join(templatesDir, 'blog', 'post.html') + ":3:3: Invalid filter: 'titel'\n" );
+            assert.equal( fs.existsSync(output), false );
+
+            assert.equal( precompiler.formatError("page.html", new Engine.TemplateSyntaxError("Unclosed tag"), ""), "page.html: Unclosed tag" );
+
+            // Invalid command lines
+            stderr = [];
+            assert.equal( precompiler.main(["-f", "amd", templatesDir]), 2 );
+            assert.equal( stderr.join("").split("\n")[0], "Unknown module format: amd" );
+            assert.equal( precompiler.main([path.join(templatesDir, 'missing')]), 2 );
+
+            fs.writeFileSync(path.join(templatesDir, 'blog', 'post.html'), "{% extends 'base.html' %}\n{% block title %}{{ title|title }}{% endblock %}");
+            assert.equal( precompiler.main(["-e", ".html", "-f", "commonjs", "-o", output, "--runtime", runtime, templatesDir]), 0 );
+
+            var engine = new Engine();
+            require(output)(engine);
+            assert.equal( engine.renderToString("blog/post.html", {"title": "a post"}), "<h1>A Post</h1>" );
+
+            // The runtime build renders the precompiled templates only
+            var runtimeSource = fs.readFileSync(runtime, 'utf8');
+            assert.equal( runtimeSource.indexOf("var Lexer"), -1 );
+            assert.equal( runtimeSource.indexOf("var Parser"), -1 );
+
+            var Runtime = require(runtime);
+            engine = new Runtime();
+            require(output)(engine);
+            assert.equal( engine.renderToString("blog/post.html", {"title": "a post"}), "<h1>A Post</h1>" );
+            assert.throws(function(){
+                engine.renderTemplateString("{{ title }}");
+            }, function(e){
+                return e instanceof Runtime.TemplateError && e.message.indexOf("only renders precompiled templates") !== -1;
+            });
+
+            assert.throws(function(){
+                precompiler.buildRuntime("var Lexer;");
+            }, /not found/);
+        } finally {
+            process.stderr.write = write;
+            fs.rmSync(rootDir, {recursive: true, force: true});
+        }
+    });
+}
+
 QUnit.test( "Variable containing simple value", function( assert ) {
     var rendered_template = DjangoTemplateEngine.renderTemplate("{{var1}}", {"var1": 4});
     assert.equal( rendered_template, "4" );
@@ -983,6 +2589,22 @@ QUnit.test( "Tag for last variable", function( assert ) {
     assert.equal( rendered_template, 'Last element is 4');
 });
 
+QUnit.test( "Tag for empty", function( assert ) {
+    var template = "{% for i in options %}{{ i }}{% empty %}No options{% endfor %}";
+
+    assert.equal( DjangoTemplateEngine.renderTemplate(template, {"options": []}), 'No options');
+    assert.equal( DjangoTemplateEngine.renderTemplate(template, {"options": [1, 2]}), '12');
+});
+
+QUnit.test( "Tag for sparse list", function( assert ) {
+    // The holes are skipped, the counters are the indexes of the items
+    var items = [1, , 3];
+
+    assert.equal( DjangoTemplateEngine.renderTemplate("{% for x in items %}[{{ x }}]{% endfor %}", {"items": items}), '[1][3]');
+    assert.equal( DjangoTemplateEngine.renderTemplate("{% for x in items reversed %}[{{ x }}]{% endfor %}", {"items": items.slice()}), '[3][1]');
+    assert.equal( DjangoTemplateEngine.renderTemplate("{% for x in items %}{{ forloop.counter }}{% if forloop.last %}!{% endif %}{% endfor %}", {"items": items}), '13!');
+});
+
 QUnit.test( "Tag with1", function( assert ) {
     var rendered_template = DjangoTemplateEngine.renderTemplate("{% with var='value' %}{{ var }}{% endwith %}");
 
@@ -1092,6 +2714,21 @@ QUnit.test( "Tag load4", function( assert ) {
     assert.equal( rendered_template, 'value1value2value3');
 });
 
+QUnit.test( "Tag load simple tag as variable", function( assert ) {
+    var library = DjangoTemplateEngine.createTemplateLibrary();
+    library.simpleTag('test', function(var1, var2){
+        return var1 + var2;
+    });
+
+    var rendered_template = DjangoTemplateEngine.renderTemplate("{% load mylib %}{% test var1 'value2' as result %}[{{ result }}]", {'var1': 'value1'}, null, {
+        'libraries': {
+            'mylib': library
+        }
+    });
+
+    assert.equal( rendered_template, '[value1value2]');
+});
+
 QUnit.test( "Tag load5", function( assert ) {  
     var engine = new DjangoTemplateEngine({
         'my_template': '{{ choices.0 }}{{ choices.1 }}'